@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { toUpper } from './letters';
+
+export const MAX_GUESSES = 6;
+
+// Tile codes as in lib/feedback.js; clicking a tile moves to the next one
+const NEXT_TILE = { B: 'Y', Y: 'G', G: 'B' };
+export const TILE_CLASSES = {
+  B: 'bg-gray-500 border-gray-500 text-white',
+  Y: 'bg-yellow-400 border-yellow-400 text-white',
+  G: 'bg-green-500 border-green-500 text-white'
+};
+const TILE_NAMES = { B: 'grey', Y: 'yellow', G: 'green' };
+
+const tileSize = 'w-10 h-10 sm:w-12 sm:h-12 md:w-14 md:h-14';
+
+// Wordle-style board: type a guess, then click its tiles to match the colours the game showed
+export default function GuessBoard({ guesses, onChange, wordLength }) {
+  const [draft, setDraft] = useState(''); // Guess being typed
+  const [editing, setEditing] = useState(null); // Row the draft replaces, null to add a row
+  const [error, setError] = useState(null);
+
+  const isFull = guesses.length >= MAX_GUESSES && editing === null;
+
+  const submitDraft = () => {
+    const word = draft.toLowerCase();
+    if ([...word].length !== wordLength) {
+      setError(`Guesses need ${wordLength} letters`);
+      return;
+    }
+
+    if (editing === null) {
+      onChange([...guesses, { guess: word, feedback: 'B'.repeat(wordLength) }]);
+    } else {
+      // Keep the colours of tiles whose letter did not change
+      const previous = guesses[editing];
+      const feedback = [...word].map((char, i) => previous.guess[i] === char ? previous.feedback[i] : 'B').join('');
+      onChange(guesses.map((row, i) => i === editing ? { guess: word, feedback } : row));
+    }
+    setDraft('');
+    setEditing(null);
+    setError(null);
+  };
+
+  const cycleTile = (rowIndex, tileIndex) => {
+    onChange(guesses.map((row, i) => {
+      if (i !== rowIndex) return row;
+      const tiles = [...row.feedback];
+      tiles[tileIndex] = NEXT_TILE[tiles[tileIndex]];
+      return { ...row, feedback: tiles.join('') };
+    }));
+  };
+
+  const editRow = (index) => {
+    setEditing(index);
+    setDraft(toUpper(guesses[index].guess));
+    setError(null);
+  };
+
+  const removeRow = (index) => {
+    onChange(guesses.filter((_, i) => i !== index));
+    if (editing === index) {
+      setEditing(null);
+      setDraft('');
+    } else if (editing !== null && editing > index) {
+      setEditing(editing - 1);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col gap-2 mb-4 items-center sm:items-start">
+        {Array.from({ length: MAX_GUESSES }, (_, rowIndex) => {
+          const row = guesses[rowIndex];
+          return (
+            <div key={rowIndex} className="flex items-center gap-2">
+              {Array.from({ length: wordLength }, (_, tileIndex) => row ? (
+                <button
+                  key={tileIndex}
+                  type="button"
+                  onClick={() => cycleTile(rowIndex, tileIndex)}
+                  title={`${toUpper(row.guess[tileIndex])} is ${TILE_NAMES[row.feedback[tileIndex]]}; click to change`}
+                  className={`${tileSize} border-2 rounded-lg text-lg sm:text-xl md:text-2xl font-bold shadow-md transition-colors duration-200 ${TILE_CLASSES[row.feedback[tileIndex]]} ${editing === rowIndex ? 'ring-4 ring-blue-400' : ''}`}
+                >
+                  {toUpper(row.guess[tileIndex])}
+                </button>
+              ) : (
+                <div key={tileIndex} className={`${tileSize} border-2 border-gray-300 rounded-lg bg-white/60`}></div>
+              ))}
+              {row && (
+                <div className="flex gap-1 ml-1">
+                  <button
+                    type="button"
+                    onClick={() => editRow(rowIndex)}
+                    title="Edit guess"
+                    className="w-8 h-8 rounded-lg text-gray-600 hover:bg-blue-100 hover:text-blue-700 transition-colors"
+                  >
+                    ✎
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeRow(rowIndex)}
+                    title="Remove guess"
+                    className="w-8 h-8 rounded-lg text-gray-600 hover:bg-red-100 hover:text-red-700 transition-colors"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); submitDraft(); }}
+        className="flex flex-col sm:flex-row gap-3 items-stretch sm:items-center"
+      >
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(toUpper(e.target.value.replace(/\P{L}/gu, '')))}
+          disabled={isFull}
+          maxLength={wordLength}
+          placeholder={isFull ? 'Board is full' : `Type a ${wordLength}-letter guess`}
+          className="w-full sm:flex-1 px-4 py-3 border-2 border-blue-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base sm:text-lg uppercase tracking-widest text-gray-900 shadow-md bg-white disabled:opacity-60"
+        />
+        <button
+          type="submit"
+          disabled={isFull}
+          className="px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-xl font-semibold shadow-md hover:shadow-lg transition-all duration-200 disabled:opacity-60"
+        >
+          {editing === null ? 'Add Guess' : 'Update Guess'}
+        </button>
+        {editing !== null && (
+          <button
+            type="button"
+            onClick={() => { setEditing(null); setDraft(''); setError(null); }}
+            className="px-4 py-3 text-gray-600 hover:text-gray-800 font-semibold"
+          >
+            Cancel
+          </button>
+        )}
+      </form>
+      {error && <p className="text-xs sm:text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { toUpper } from './letters';
+
+const ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+// Strongest clue first: a placed letter is also present
+const KEY_CLASSES = {
+  placed: 'bg-green-500 text-white border-green-500',
+  present: 'bg-yellow-400 text-white border-yellow-400',
+  excluded: 'bg-gray-500 text-white border-gray-500',
+  unknown: 'bg-gray-100 text-gray-800 border-gray-300 hover:bg-gray-200'
+};
+const KEY_NAMES = {
+  placed: 'placed',
+  present: 'in the word',
+  excluded: 'excluded',
+  unknown: 'unknown'
+};
+
+const ACTION_CLASSES = 'px-2 sm:px-3 h-10 sm:h-12 border-2 rounded-lg text-xs sm:text-sm font-bold shadow-sm transition-colors duration-200 bg-gray-100 text-gray-800 border-gray-300 hover:bg-gray-200';
+
+// QWERTY keyboard coloured by what the clues say about each letter.
+// Passing onEnter / onBackspace adds those keys around the bottom letter row, for typing guesses
+export default function Keyboard({ letterStates, onKeyPress, extraKeys = '', onEnter, onBackspace }) {
+  const rows = extraKeys ? [...ROWS, extraKeys] : ROWS;
+
+  return (
+    <div className="flex flex-col gap-1.5 sm:gap-2 items-center select-none">
+      {rows.map(row => (
+        <div key={row} className="flex gap-1 sm:gap-1.5 flex-wrap justify-center">
+          {onEnter && row === ROWS[2] && (
+            <button type="button" onClick={onEnter} className={ACTION_CLASSES}>ENTER</button>
+          )}
+          {[...row].map(letter => {
+            const state = letterStates[letter] || 'unknown';
+            return (
+              <button
+                key={letter}
+                type="button"
+                onClick={() => onKeyPress(letter)}
+                title={`${toUpper(letter)}: ${KEY_NAMES[state]}`}
+                className={`w-7 h-10 sm:w-9 sm:h-12 border-2 rounded-lg text-sm sm:text-base font-bold shadow-sm transition-colors duration-200 ${KEY_CLASSES[state]}`}
+              >
+                {toUpper(letter)}
+              </button>
+            );
+          })}
+          {onBackspace && row === ROWS[2] && (
+            <button type="button" onClick={onBackspace} title="Delete letter" className={ACTION_CLASSES}>⌫</button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { toUpper } from './letters';
+
+// Greener the larger the share of candidates; empty cells stay blank
+function cellStyle(count, total) {
+  if (!count || !total) return undefined;
+  return { backgroundColor: `rgba(34, 197, 94, ${(0.15 + 0.85 * (count / total)).toFixed(2)})` };
+}
+
+// Letters x positions grid of candidate counts from /api/letter-stats
+export default function LetterHeatmap({ stats }) {
+  const { letters, positions, overall, candidateCount } = stats;
+
+  return (
+    <div className="w-full xl:w-64 shrink-0 bg-white/80 backdrop-blur-sm p-4 sm:p-6 rounded-2xl shadow-xl border border-white/20">
+      <h2 className="text-lg sm:text-xl font-bold text-gray-800 mb-1">Letter Heatmap</h2>
+      <p className="text-xs text-gray-600 mb-3">
+        How many of the {candidateCount} candidates have each letter in each slot
+      </p>
+
+      <table className="w-full text-[10px] sm:text-xs text-center border-separate" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th></th>
+            {positions.map((_, index) => (
+              <th key={index} className="font-semibold text-gray-600">{index + 1}</th>
+            ))}
+            <th className="font-semibold text-gray-600">Any</th>
+          </tr>
+        </thead>
+        <tbody>
+          {letters.map(letter => (
+            <tr key={letter} className={overall[letter] ? 'text-gray-900' : 'text-gray-300'}>
+              <th className="font-bold">{toUpper(letter)}</th>
+              {positions.map((counts, index) => (
+                <td
+                  key={index}
+                  className="rounded px-1 py-0.5"
+                  style={cellStyle(counts[letter], candidateCount)}
+                  title={`${toUpper(letter)} at ${index + 1}: ${counts[letter]} of ${candidateCount}`}
+                >
+                  {counts[letter] || ''}
+                </td>
+              ))}
+              <td
+                className="rounded px-1 py-0.5 font-semibold"
+                style={cellStyle(overall[letter], candidateCount)}
+                title={`${toUpper(letter)} anywhere: ${overall[letter]} of ${candidateCount}`}
+              >
+                {overall[letter] || ''}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// Uppercase without turning ß into SS, which would change the letter count
+export function toUpper(text) {
+  return text.replace(/ß/g, 'ẞ').toUpperCase();
+}
+
+// What a constraint spec says about each letter, for the keyboard
+export function getLetterStates(spec) {
+  const states = {};
+  for (const char of spec.absent) states[char] = 'excluded';
+  // Counts are a number ("exactly") or { min, max } with either end optional
+  for (const [char, count] of Object.entries(spec.counts)) {
+    const min = typeof count === 'number' ? count : count.min || 0;
+    const max = typeof count === 'number' ? count : count.max;
+    if (max === 0) states[char] = 'excluded';
+    else if (min > 0) states[char] = 'present';
+  }
+  for (const char of [...spec.present, ...spec.notAt.flat()]) states[char] = 'present';
+  for (const value of spec.positions) {
+    if (value && /^\p{L}$/u.test(value)) states[value] = 'placed';
+  }
+  return states;
+}
@@ -0,0 +1,88 @@
+/**
+ * Search Benchmark
+ *
+ * Times advancedSearch on the bundled dictionary twice per query, once
+ * through the Set/Trie structures and once through the bitset index, checks
+ * that both return the same words and prints the average time of each.
+ *
+ *   npm run benchmark
+ */
+const { WordSearchEngine } = require('./wordSearch');
+const { feedbackToConstraints, parseFeedback } = require('./feedback');
+const { validateConstraintSpec, specToConstraints } = require('./constraints');
+
+const ITERATIONS = 50;
+
+// Typical fixed-length searches, as advancedSearch constraint lists
+const QUERIES = [
+  ['Pattern "w___s"', [{ type: 'length', value: 5 }, { type: 'pattern', value: 'w___s' }]],
+  ['Pattern "[st]_[aeiou]_[^xyz]"', [{ type: 'length', value: 5 }, { type: 'pattern', value: '[st]_[aeiou]_[^xyz]' }]],
+  ['Feedback "crane:BYBBG"', feedbackToConstraints(parseFeedback('crane:BYBBG'))],
+  ['Feedback "crane:BBBBB, moist:BBYBB"', feedbackToConstraints(parseFeedback('crane:BBBBB, moist:BBYBB'))],
+  ['Spec: present r, i; absent a, n, e', specToConstraints(validateConstraintSpec({ present: ['r', 'i'], absent: ['a', 'n', 'e'] }))],
+  ['Spec: two e, answers only', [
+    ...specToConstraints(validateConstraintSpec({ counts: { e: { min: 2 } } })),
+    { type: 'dictionary', value: 'answers' }
+  ]],
+  ['7 letters ending "ing"', [{ type: 'length', value: 7 }, { type: 'ends_with', value: 'ing' }]],
+  ['6 letters containing "igh"', [{ type: 'length', value: 6 }, { type: 'contains_substring', value: 'igh' }]]
+];
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function runBenchmark() {
+  console.log('⏱️  Benchmarking advancedSearch: Set/Trie structures vs bitset index\n');
+
+  const engine = new WordSearchEngine();
+  const load = time(() => {
+    engine.loadWords(require('../words_dictionary.json'), 'all');
+    engine.addDictionary('answers', require('../words_answers_5.json'));
+  });
+  console.log(`Loaded ${engine.words.size} words in ${load.ms.toFixed(0)}ms`);
+
+  const build = time(() => [4, 5, 6, 7].forEach(length => engine.getBitsetIndex(length)));
+  console.log(`Built bitset indexes for 4 to 7 letters in ${build.ms.toFixed(0)}ms\n`);
+
+  const rows = [];
+  for (const [name, constraints] of QUERIES) {
+    engine.useBitsetIndex = false;
+    const sets = time(() => {
+      let results;
+      for (let i = 0; i < ITERATIONS; i++) results = engine.advancedSearch(constraints);
+      return results;
+    });
+
+    engine.useBitsetIndex = true;
+    const bitsets = time(() => {
+      let results;
+      for (let i = 0; i < ITERATIONS; i++) results = engine.advancedSearch(constraints);
+      return results;
+    });
+
+    if (sets.result.join() !== bitsets.result.join()) {
+      throw new Error(`Results differ for ${name}`);
+    }
+
+    rows.push({
+      query: name,
+      results: bitsets.result.length,
+      'sets (ms)': +(sets.ms / ITERATIONS).toFixed(3),
+      'bitsets (ms)': +(bitsets.ms / ITERATIONS).toFixed(3),
+      speedup: `${(sets.ms / bitsets.ms).toFixed(1)}x`
+    });
+  }
+
+  console.table(rows);
+  console.log(`\nAverages over ${ITERATIONS} runs per query; both paths returned identical results.`);
+}
+
+// Run the benchmark if this file is executed directly
+if (require.main === module) {
+  runBenchmark();
+}
+
+module.exports = { runBenchmark };
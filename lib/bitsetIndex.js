@@ -0,0 +1,146 @@
+/**
+ * Bitset Positional Index
+ *
+ * An index over the words of one length. Each word gets an integer id (its
+ * rank in sorted order) and every fact the search needs is a bitset over
+ * those ids:
+ *
+ *   positions: letter -> one bitset per slot ("c" at slot 0)
+ *   counts:    letter -> one bitset per occurrence count ("e" at least twice)
+ *
+ * A query starts from "every word" and each constraint becomes a bitwise
+ * AND / AND NOT over Uint32Arrays, with no per-word work until the final
+ * decode, which also comes out already sorted.
+ */
+
+const BITS = 32;
+
+class BitsetIndex {
+  /**
+   * @param {Iterable<string>} words - Words, all of the same length
+   * @param {number} length - That length
+   */
+  constructor(words, length) {
+    this.length = length;
+    this.words = Array.from(words).sort();
+    this.size = Math.ceil(this.words.length / BITS);
+    this.positions = new Map(); // letter -> Array(length) of bitsets
+    this.counts = new Map(); // letter -> Array of bitsets; [k] = letter appears at least k times
+    this.dictionaries = new Map(); // dictionary name -> bitset
+    this.empty = new Uint32Array(this.size);
+
+    this.words.forEach((word, id) => {
+      const counts = new Map();
+      for (let position = 0; position < word.length; position++) {
+        const char = word[position];
+        if (!this.positions.has(char)) {
+          this.positions.set(char, Array.from({ length }, () => new Uint32Array(this.size)));
+        }
+        setBit(this.positions.get(char)[position], id);
+        counts.set(char, (counts.get(char) || 0) + 1);
+      }
+
+      for (const [char, count] of counts) {
+        if (!this.counts.has(char)) {
+          this.counts.set(char, [this.empty]);
+        }
+        const atLeast = this.counts.get(char);
+        for (let k = 1; k <= count; k++) {
+          if (!atLeast[k]) atLeast[k] = new Uint32Array(this.size);
+          setBit(atLeast[k], id);
+        }
+      }
+    });
+  }
+
+  /**
+   * Rebuild an index from bitsets saved in a snapshot (see lib/snapshot.js)
+   * @param {{length: number, words: Array<string>, positions: Map, counts: Map}} parts -
+   *   Sorted words of that length and the position / count bitsets
+   * @returns {BitsetIndex} Index sharing the given bitsets
+   */
+  static restore({ length, words, positions, counts }) {
+    const index = Object.create(BitsetIndex.prototype);
+    index.length = length;
+    index.words = words;
+    index.size = Math.ceil(words.length / BITS);
+    index.positions = positions;
+    index.counts = counts;
+    index.dictionaries = new Map();
+    index.empty = new Uint32Array(index.size);
+    for (const atLeast of counts.values()) atLeast[0] = index.empty;
+    return index;
+  }
+
+  // A fresh bitset with every word set
+  all() {
+    const bits = new Uint32Array(this.size).fill(0xffffffff);
+    const spare = this.size * BITS - this.words.length;
+    if (spare > 0) {
+      bits[this.size - 1] >>>= spare;
+    }
+    return bits;
+  }
+
+  // Words with char at position (shared, do not modify)
+  positionBits(char, position) {
+    const slots = this.positions.get(char);
+    return (slots && slots[position]) || this.empty;
+  }
+
+  // Words containing char at least min times (shared, do not modify)
+  countBits(char, min = 1) {
+    const atLeast = this.counts.get(char);
+    return (atLeast && atLeast[min]) || this.empty;
+  }
+
+  // Words of this length in a named dictionary, cached per name
+  dictionaryBits(name, dictionary) {
+    if (!this.dictionaries.has(name)) {
+      const bits = new Uint32Array(this.size);
+      this.words.forEach((word, id) => {
+        if (dictionary.has(word)) setBit(bits, id);
+      });
+      this.dictionaries.set(name, bits);
+    }
+    return this.dictionaries.get(name);
+  }
+
+  // Decode a bitset into its words, in sorted order
+  toWords(bits) {
+    const words = [];
+    for (let i = 0; i < bits.length; i++) {
+      let block = bits[i];
+      while (block !== 0) {
+        const bit = 31 - Math.clz32(block & -block);
+        words.push(this.words[i * BITS + bit]);
+        block &= block - 1;
+      }
+    }
+    return words;
+  }
+}
+
+function setBit(bits, id) {
+  bits[id >>> 5] |= 1 << (id & 31);
+}
+
+// target &= bits
+function and(target, bits) {
+  for (let i = 0; i < target.length; i++) target[i] &= bits[i];
+  return target;
+}
+
+// target &= ~bits
+function andNot(target, bits) {
+  for (let i = 0; i < target.length; i++) target[i] &= ~bits[i];
+  return target;
+}
+
+// target |= bits
+function or(target, bits) {
+  for (let i = 0; i < target.length; i++) target[i] |= bits[i];
+  return target;
+}
+
+module.exports = { BitsetIndex, and, andNot, or };
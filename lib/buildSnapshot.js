@@ -0,0 +1,30 @@
+/**
+ * Build-time engine snapshots
+ *
+ * Loads each locale's dictionary once and writes the finished engine to
+ * snapshots/<locale>.bin, which getSearchEngine() restores instead of
+ * rebuilding the indexes on every cold start. Run by `npm run build`, or on
+ * its own with `npm run snapshot` after changing a word list.
+ */
+const fs = require('fs');
+const { createSearchEngine, getSnapshotPath, SNAPSHOT_DIR } = require('./searchService');
+const { LOCALES } = require('./locales');
+
+function buildSnapshots() {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+
+  for (const locale of Object.keys(LOCALES)) {
+    const startTime = Date.now();
+    const engine = createSearchEngine(locale, false);
+    const snapshot = engine.toSnapshot();
+    fs.writeFileSync(getSnapshotPath(locale), snapshot);
+    console.log(`📦 ${locale}: ${engine.words.size} words, ${(snapshot.length / 1024 / 1024).toFixed(1)} MB in ${Date.now() - startTime}ms`);
+  }
+}
+
+// Build snapshots if this file is executed directly
+if (require.main === module) {
+  buildSnapshots();
+}
+
+module.exports = { buildSnapshots };
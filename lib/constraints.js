@@ -0,0 +1,256 @@
+/**
+ * Structured Constraint Specs
+ *
+ * Validates the JSON constraint body accepted by the API routes and turns it
+ * into constraints understood by WordSearchEngine.advancedSearch:
+ *
+ *   {
+ *     "length": 5,
+ *     "positions": ["c", null, "aeiou", "s", "!xyz"],
+ *     "present": ["r", "i"],
+ *     "absent": ["a", "n", "e"],
+ *     "notAt": [[], ["r"], ["i"], [], []],
+ *     "counts": { "e": { "min": 2 }, "l": 1 }
+ *   }
+ *
+ * Every field is optional. A position holding several letters matches any of
+ * them, and a leading "!" turns it into "any letter but these". A count given
+ * as a number means "exactly".
+ */
+const { QueryError } = require('./errors');
+const { parsePattern } = require('./pattern');
+
+const SPEC_FIELDS = ['length', 'positions', 'present', 'absent', 'notAt', 'counts'];
+const DEFAULT_LENGTH = 5;
+const SUPPORTED_LENGTHS = [4, 5, 6, 7]; // lengths shipped in words_dictionary.json
+
+/**
+ * Check whether a request body carries a constraint spec
+ * @param {Object} body - Request body or query parameters
+ * @returns {boolean} True if any spec field is present
+ */
+function isConstraintSpec(body) {
+  return Boolean(body) && typeof body === 'object' &&
+    SPEC_FIELDS.some(field => body[field] !== undefined);
+}
+
+/**
+ * Read a requested word length, which may arrive as a query-string value
+ * @param {number|string|undefined} value - Requested length
+ * @returns {number} Length, DEFAULT_LENGTH when unset
+ */
+function readWordLength(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_LENGTH;
+
+  const length = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value) : value;
+  if (!SUPPORTED_LENGTHS.includes(length)) {
+    throw new QueryError(`length must be one of ${SUPPORTED_LENGTHS.join(', ')}`);
+  }
+  return length;
+}
+
+function readLetter(value, path) {
+  if (typeof value !== 'string' || !/^\p{L}$/u.test(value)) {
+    throw new QueryError(`${path} must be a single letter`);
+  }
+  return value.toLowerCase();
+}
+
+function readLetterClass(value, path) {
+  if (typeof value !== 'string' || !/^!?\p{L}+$/u.test(value)) {
+    throw new QueryError(`${path} must be letters, optionally prefixed with "!"`);
+  }
+  return value.toLowerCase();
+}
+
+function readArray(value, path) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new QueryError(`${path} must be an array`);
+  }
+  return value;
+}
+
+function readCount(value, path) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new QueryError(`${path} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Validate and normalise a constraint spec
+ * @param {Object} spec - Raw spec from the request
+ * @returns {Object} Spec with lowercase letters, arrays padded to the word
+ *   length and counts expanded to { min, max }
+ */
+function validateConstraintSpec(spec) {
+  const length = readWordLength(spec.length);
+
+  const positions = readArray(spec.positions, 'positions').map((value, i) =>
+    value === null || value === '' ? null : readLetterClass(value, `positions[${i}]`)
+  );
+  if (positions.length > length) {
+    throw new QueryError(`positions has ${positions.length} entries but length is ${length}`);
+  }
+
+  const present = [...new Set(readArray(spec.present, 'present').map((value, i) => readLetter(value, `present[${i}]`)))];
+  const absent = [...new Set(readArray(spec.absent, 'absent').map((value, i) => readLetter(value, `absent[${i}]`)))];
+
+  const notAt = readArray(spec.notAt, 'notAt').map((entry, i) =>
+    [...new Set(readArray(entry, `notAt[${i}]`).map((value, j) => readLetter(value, `notAt[${i}][${j}]`)))]
+  );
+  if (notAt.length > length) {
+    throw new QueryError(`notAt has ${notAt.length} entries but length is ${length}`);
+  }
+
+  const counts = {};
+  if (spec.counts !== undefined && spec.counts !== null) {
+    if (typeof spec.counts !== 'object' || Array.isArray(spec.counts)) {
+      throw new QueryError('counts must be an object of letter -> count');
+    }
+    for (const [key, value] of Object.entries(spec.counts)) {
+      const char = readLetter(key, `counts key "${key}"`);
+      const path = `counts.${key}`;
+      if (typeof value === 'number') {
+        const count = readCount(value, path);
+        counts[char] = { min: count, max: count };
+      } else if (value && typeof value === 'object') {
+        const min = value.min === undefined ? 0 : readCount(value.min, `${path}.min`);
+        const max = value.max === undefined || value.max === null ? null : readCount(value.max, `${path}.max`);
+        if (max !== null && min > max) {
+          throw new QueryError(`${path}.min cannot be greater than ${path}.max`);
+        }
+        counts[char] = { min, max };
+      } else {
+        throw new QueryError(`${path} must be a number or { min, max }`);
+      }
+    }
+  }
+
+  // Catch clues that can never match instead of silently returning nothing
+  const required = new Set([
+    ...present,
+    ...positions.filter(value => value && value.length === 1),
+    ...Object.keys(counts).filter(char => counts[char].min > 0)
+  ]);
+  for (const char of absent) {
+    if (required.has(char)) {
+      throw new QueryError(`"${char}" is listed as absent but is also required; use counts for repeated letters`);
+    }
+  }
+
+  while (positions.length < length) positions.push(null);
+  while (notAt.length < length) notAt.push([]);
+
+  return { length, positions, present, absent, notAt, counts };
+}
+
+/**
+ * Convert a validated spec into advancedSearch constraints
+ * @param {Object} spec - Output of validateConstraintSpec
+ * @returns {Array} Constraints for WordSearchEngine.advancedSearch
+ */
+function specToConstraints(spec) {
+  const constraints = [{ type: 'length', value: spec.length }];
+
+  // Known positions become one trie pattern so classes prune during the walk
+  if (spec.positions.some(Boolean)) {
+    const pattern = spec.positions.map(value => {
+      if (!value) return '_';
+      if (value.startsWith('!')) return `[^${value.slice(1)}]`;
+      return value.length === 1 ? value : `[${value}]`;
+    }).join('');
+    constraints.push({ type: 'pattern', value: pattern });
+  }
+
+  for (const char of spec.present) {
+    constraints.push({ type: 'contains', value: char });
+  }
+  for (const char of spec.absent) {
+    constraints.push({ type: 'excludes', value: char });
+  }
+  spec.notAt.forEach((chars, position) => {
+    for (const char of chars) {
+      constraints.push({ type: 'not_at_position', char, position });
+    }
+  });
+  for (const [char, { min, max }] of Object.entries(spec.counts)) {
+    constraints.push({ type: 'letter_count', char, min, max });
+  }
+
+  return constraints;
+}
+
+// "1st", "2nd", "3rd", "4th", ..., "11th", "12th", "21st"
+function ordinal(n) {
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10 > 3 || Math.floor(n / 10) === 1 ? 0 : n % 10]}`;
+}
+
+// "A", "A or B", "A, B or C"
+function listLetters(chars) {
+  const letters = Array.from(chars, char => char.toUpperCase());
+  return letters.length > 1 ? `${letters.slice(0, -1).join(', ')} or ${letters[letters.length - 1]}` : letters[0];
+}
+
+/**
+ * Describe an advancedSearch constraint for people, e.g. "2nd letter is not R"
+ *
+ * A pattern constraint with a position describes that one slot of its
+ * pattern; without one it describes the whole pattern.
+ *
+ * @param {Object} constraint - Constraint as passed to advancedSearch
+ * @returns {string} Description
+ */
+function describeConstraint(constraint) {
+  const { type, char, position } = constraint;
+  const letter = char && char.toUpperCase();
+  const place = position !== undefined && `${ordinal(position + 1)} letter`;
+
+  switch (type) {
+    case 'length':
+      return `has ${constraint.value} letters`;
+    case 'starts_with':
+      return `starts with ${constraint.value.toUpperCase()}`;
+    case 'ends_with':
+      return `ends with ${constraint.value.toUpperCase()}`;
+    case 'contains_substring':
+    case 'contains':
+      return `contains ${constraint.value.toUpperCase()}`;
+    case 'excludes':
+      return `does not contain ${constraint.value.toUpperCase()}`;
+    case 'contains_at_position':
+      return `${place} is ${letter}`;
+    case 'not_at_position':
+      return `${place} is not ${letter}`;
+    case 'dictionary':
+      return `is in the "${constraint.value}" list`;
+    case 'pattern': {
+      if (position === undefined) return `matches ${constraint.value.toUpperCase()}`;
+      const slot = parsePattern(constraint.value)[position];
+      if (slot.any) return `${place} is any letter`;
+      return `${place} is ${slot.negated ? 'not ' : ''}${listLetters(slot.chars)}`;
+    }
+    case 'letter_count': {
+      const min = constraint.min || 0;
+      const max = constraint.max ?? null;
+      if (min === max) return `has exactly ${min} ${letter}`;
+      if (max === null) return min === 1 ? `contains ${letter}` : `has at least ${min} ${letter}`;
+      if (min === 0) return `has at most ${max} ${letter}`;
+      return `has ${min} to ${max} ${letter}`;
+    }
+    default:
+      return type;
+  }
+}
+
+module.exports = {
+  isConstraintSpec,
+  validateConstraintSpec,
+  specToConstraints,
+  describeConstraint,
+  ordinal,
+  readWordLength,
+  SPEC_FIELDS,
+  SUPPORTED_LENGTHS
+};
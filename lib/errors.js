@@ -0,0 +1,18 @@
+/**
+ * Error types shared by the search engine and the API routes.
+ */
+
+/**
+ * Raised when a client-supplied query cannot be understood.
+ * API routes translate it into a 400 response instead of a 500.
+ * position, when known, is the character offset of the problem in the query.
+ */
+class QueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+module.exports = { QueryError };
@@ -0,0 +1,292 @@
+/**
+ * Wordle Feedback Parsing
+ *
+ * Turns raw guess/feedback pairs such as "crane:GYBBB, moist:BBYGB" into
+ * constraints understood by WordSearchEngine.advancedSearch, or into a
+ * constraint spec for the API.
+ *
+ * Tile codes: G = green (right letter, right spot), Y = yellow (in the word,
+ * wrong spot), B or X = grey (no further copies of the letter).
+ */
+const { QueryError } = require('./errors');
+const { ordinal } = require('./constraints');
+
+const GREEN = 'G';
+const YELLOW = 'Y';
+const GREY = 'B';
+
+const PAIR_PATTERN = /^(\p{L}+)\s*:\s*(\p{L}+)$/u;
+const FEEDBACK_QUERY_PATTERN = /^\s*\p{L}+\s*:\s*\p{L}+(?:\s*[,;\s]\s*\p{L}+\s*:\s*\p{L}+)*\s*$/u;
+
+/**
+ * Check whether a query is written as guess/feedback pairs
+ * @param {string} query - Raw search query
+ * @returns {boolean} True if the query looks like "guess:FEEDBACK, ..."
+ */
+function isFeedbackQuery(query) {
+  return typeof query === 'string' && FEEDBACK_QUERY_PATTERN.test(query);
+}
+
+/**
+ * Parse guess/feedback pairs
+ * @param {string} query - e.g. "crane:GYBBB, moist:BBYGB"
+ * @returns {Array<{guess: string, feedback: string}>} Normalised pairs
+ */
+function parseFeedback(query) {
+  const pairs = query.split(/[,;\s]+(?=\p{L}+\s*:)/u).map(part => part.trim()).filter(Boolean);
+  const guesses = [];
+
+  for (const pair of pairs) {
+    const match = pair.match(PAIR_PATTERN);
+    if (!match) {
+      throw new QueryError(`Could not read guess "${pair}", expected guess:FEEDBACK`);
+    }
+
+    const guess = match[1].toLowerCase();
+    const feedback = match[2].toUpperCase().replace(/X/g, GREY);
+
+    if (guess.length !== feedback.length) {
+      throw new QueryError(`Guess "${guess}" has ${guess.length} letters but feedback "${match[2]}" has ${feedback.length} tiles`);
+    }
+    const badTile = feedback.match(/[^GYB]/);
+    if (badTile) {
+      throw new QueryError(`Unknown tile "${badTile[0]}" in feedback "${match[2]}", use G, Y or B`);
+    }
+    if (guesses.length > 0 && guesses[0].guess.length !== guess.length) {
+      throw new QueryError('All guesses must have the same length');
+    }
+
+    guesses.push({ guess, feedback });
+  }
+
+  return guesses;
+}
+
+/**
+ * Collect what a set of guesses proves about the answer
+ *
+ * Repeated letters follow Wordle's rules: the green and yellow copies of a
+ * letter give its minimum count, and a grey copy alongside them caps the
+ * count at that minimum rather than excluding the letter outright. Rows
+ * Wordle can't show are rejected: two different greens for one slot, or a
+ * grey copy of a letter before a yellow one (yellows go left to right).
+ *
+ * @param {Array<{guess: string, feedback: string}>} guesses - Parsed pairs, at least one
+ * @returns {{length: number, placed: Map, notAt: Set, minCounts: Map, maxCounts: Map}}
+ *   Greens by position, "char:position" exclusions and per-letter count bounds
+ */
+function collectClues(guesses) {
+  const placed = new Map(); // position -> char
+  const notAt = new Set(); // "char:position"
+  const minCounts = new Map(); // char -> minimum occurrences
+  const maxCounts = new Map(); // char -> maximum occurrences
+
+  for (const { guess, feedback } of guesses) {
+    const seen = new Map(); // char -> green/yellow copies in this guess
+    const capped = new Set(); // chars with a grey copy in this guess
+
+    for (let i = 0; i < guess.length; i++) {
+      const char = guess[i];
+      if (feedback[i] === GREEN) {
+        if (placed.has(i) && placed.get(i) !== char) {
+          throw new QueryError(`Two greens for the ${ordinal(i + 1)} letter: ${placed.get(i).toUpperCase()} and ${char.toUpperCase()}`);
+        }
+        placed.set(i, char);
+        seen.set(char, (seen.get(char) || 0) + 1);
+      } else if (feedback[i] === YELLOW) {
+        if (capped.has(char)) {
+          throw new QueryError(`"${guess}" has a grey ${char.toUpperCase()} before a yellow one, which Wordle never shows`);
+        }
+        notAt.add(`${char}:${i}`);
+        seen.set(char, (seen.get(char) || 0) + 1);
+      } else {
+        notAt.add(`${char}:${i}`);
+        capped.add(char);
+      }
+    }
+
+    for (const [char, count] of seen) {
+      minCounts.set(char, Math.max(minCounts.get(char) || 0, count));
+    }
+    for (const char of capped) {
+      const count = seen.get(char) || 0;
+      maxCounts.set(char, Math.min(maxCounts.has(char) ? maxCounts.get(char) : count, count));
+    }
+  }
+
+  return { length: guesses[0].guess.length, placed, notAt, minCounts, maxCounts };
+}
+
+/**
+ * Convert parsed guesses into advancedSearch constraints
+ * @param {Array<{guess: string, feedback: string}>} guesses - Parsed pairs
+ * @returns {Array} Constraints for WordSearchEngine.advancedSearch
+ */
+function feedbackToConstraints(guesses) {
+  const constraints = [];
+  if (guesses.length === 0) return constraints;
+
+  const { length, placed, notAt, minCounts, maxCounts } = collectClues(guesses);
+
+  constraints.push({ type: 'length', value: length });
+
+  for (const [position, char] of placed) {
+    constraints.push({ type: 'contains_at_position', char, position });
+  }
+
+  for (const [char, max] of maxCounts) {
+    if (max === 0) {
+      constraints.push({ type: 'excludes', value: char });
+    }
+  }
+
+  for (const entry of notAt) {
+    const [char, position] = entry.split(':');
+    // Excluded letters are already ruled out everywhere
+    if (maxCounts.get(char) === 0) continue;
+    constraints.push({ type: 'not_at_position', char, position: parseInt(position) });
+  }
+
+  for (const [char, min] of minCounts) {
+    const max = maxCounts.has(char) ? maxCounts.get(char) : null;
+    constraints.push({ type: 'letter_count', char, min, max });
+  }
+
+  return constraints;
+}
+
+/**
+ * Convert parsed guesses into a constraint spec (see lib/constraints.js)
+ *
+ * Same clues as feedbackToConstraints, in the JSON form the API accepts, so
+ * a client can merge them with clues entered by hand.
+ *
+ * @param {Array<{guess: string, feedback: string}>} guesses - Parsed pairs, at least one
+ * @returns {Object} Spec with length, positions, present, absent, notAt and counts
+ */
+function feedbackToSpec(guesses) {
+  const { length, placed, notAt, minCounts, maxCounts } = collectClues(guesses);
+  const spec = {
+    length,
+    positions: Array.from({ length }, (_, i) => placed.get(i) || null),
+    present: [],
+    absent: [],
+    notAt: Array.from({ length }, () => []),
+    counts: {}
+  };
+
+  for (const [char, max] of maxCounts) {
+    if (max === 0) spec.absent.push(char);
+  }
+
+  for (const entry of notAt) {
+    const [char, position] = entry.split(':');
+    if (maxCounts.get(char) === 0) continue;
+    spec.notAt[parseInt(position)].push(char);
+  }
+
+  // A single required copy is just "present"; anything more needs a count
+  for (const [char, min] of minCounts) {
+    const max = maxCounts.has(char) ? maxCounts.get(char) : null;
+    if (min === 1 && max === null) {
+      spec.present.push(char);
+    } else {
+      spec.counts[char] = max === null ? { min } : { min, max };
+    }
+  }
+
+  return spec;
+}
+
+/**
+ * Score a guess against an answer using Wordle's tile rules
+ *
+ * Greens are assigned first; each remaining copy of a letter turns yellow
+ * only while unmatched copies are left in the answer.
+ *
+ * @param {string} guess - Guessed word
+ * @param {string} answer - Hidden word of the same length
+ * @returns {string} Feedback such as "GYBBB"
+ */
+function scoreGuess(guess, answer) {
+  const tiles = new Array(guess.length).fill(GREY);
+  const unmatched = new Map(); // answer char -> copies not yet matched
+
+  for (let i = 0; i < guess.length; i++) {
+    if (guess[i] === answer[i]) {
+      tiles[i] = GREEN;
+    } else {
+      unmatched.set(answer[i], (unmatched.get(answer[i]) || 0) + 1);
+    }
+  }
+
+  for (let i = 0; i < guess.length; i++) {
+    if (tiles[i] === GREEN) continue;
+    const remaining = unmatched.get(guess[i]) || 0;
+    if (remaining > 0) {
+      tiles[i] = YELLOW;
+      unmatched.set(guess[i], remaining - 1);
+    }
+  }
+
+  return tiles.join('');
+}
+
+/**
+ * Check that a word would have produced every guess's tiles
+ * @param {string} word - Candidate answer
+ * @param {Array<{guess: string, feedback: string}>} guesses - Parsed pairs
+ * @returns {boolean} True if the word is consistent with all of them
+ */
+function matchesFeedback(word, guesses) {
+  return guesses.every(({ guess, feedback }) => scoreGuess(guess, word) === feedback);
+}
+
+/**
+ * Score a guess as a base-3 integer (0 = grey, 1 = yellow, 2 = green)
+ *
+ * Same rules as scoreGuess, without allocating, for the hot loops in the
+ * recommender.
+ *
+ * @param {string} guess - Guessed word
+ * @param {string} answer - Hidden word of the same length
+ * @returns {number} Feedback code
+ */
+function scoreGuessCode(guess, answer) {
+  const length = guess.length;
+  let code = 0;
+
+  for (let i = 0; i < length; i++) {
+    const char = guess[i];
+    let tile = 0;
+
+    if (char === answer[i]) {
+      tile = 2;
+    } else {
+      // Copies of char in answer slots not already claimed by a green...
+      let available = 0;
+      for (let j = 0; j < length; j++) {
+        if (answer[j] === char && guess[j] !== char) available++;
+      }
+      // ...minus those taken by earlier non-green copies in the guess
+      let used = 0;
+      for (let j = 0; j < i; j++) {
+        if (guess[j] === char && answer[j] !== char) used++;
+      }
+      if (used < available) tile = 1;
+    }
+
+    code = code * 3 + tile;
+  }
+  return code;
+}
+
+module.exports = {
+  scoreGuess,
+  scoreGuessCode,
+  isFeedbackQuery,
+  parseFeedback,
+  feedbackToConstraints,
+  feedbackToSpec,
+  matchesFeedback
+};
@@ -0,0 +1,160 @@
+/**
+ * Wordle Game Rules
+ *
+ * Picks answers for the /play page and checks guesses: the daily answer is a
+ * pure function of the date, practice answers come from a game id, and every
+ * guess is scored with scoreGuess so repeated letters behave as in Wordle.
+ */
+const { scoreGuess } = require('./feedback');
+const { QueryError } = require('./errors');
+const { ordinal } = require('./constraints');
+
+const MAX_GUESSES = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stepping through the answer list by a prime that shares no factor with its
+// length visits every answer once before any repeats
+const DAILY_STRIDE = 7919;
+
+/**
+ * Read a calendar date sent by the client (its local day)
+ * @param {string} value - Date as YYYY-MM-DD
+ * @returns {string} The same date, checked
+ */
+function readDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new QueryError('date must be a day in the form YYYY-MM-DD');
+  }
+  return value;
+}
+
+// FNV-1a, so a practice id always maps to the same answer
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+/**
+ * Answer for a calendar day
+ * @param {Array<string>} answers - Sorted answer list
+ * @param {string} date - Day as YYYY-MM-DD
+ * @returns {string} That day's answer
+ */
+function getDailyAnswer(answers, date) {
+  const day = Math.floor(Date.parse(readDate(date)) / DAY_MS);
+  const stride = greatestCommonDivisor(DAILY_STRIDE, answers.length) === 1 ? DAILY_STRIDE : 1;
+  const index = ((day * stride) % answers.length + answers.length) % answers.length;
+  return answers[index];
+}
+
+/**
+ * Answer for a practice game
+ * @param {Array<string>} answers - Sorted answer list
+ * @param {string} gameId - Id handed out when the game started
+ * @returns {string} The game's answer
+ */
+function getPracticeAnswer(answers, gameId) {
+  if (typeof gameId !== 'string' || !/^[a-z0-9]{1,32}$/.test(gameId)) {
+    throw new QueryError('game must be the id returned when the practice game started');
+  }
+  return answers[hashString(gameId) % answers.length];
+}
+
+/**
+ * Check Wordle's hard mode rule: greens stay in place and yellows are reused
+ * @param {string} guess - New guess
+ * @param {Array<{guess: string, feedback: string}>} history - Earlier guesses and their tiles
+ * @returns {string|null} What the guess is missing, or null if it is allowed
+ */
+function checkHardMode(guess, history) {
+  for (const previous of history) {
+    const required = new Map(); // char -> green/yellow copies to reuse
+    for (let i = 0; i < previous.guess.length; i++) {
+      const char = previous.guess[i];
+      if (previous.feedback[i] === 'G' && guess[i] !== char) {
+        return `${ordinal(i + 1)} letter must be ${char.toUpperCase()}`;
+      }
+      if (previous.feedback[i] !== 'B') {
+        required.set(char, (required.get(char) || 0) + 1);
+      }
+    }
+
+    for (const [char, count] of required) {
+      if ([...guess].filter(letter => letter === char).length < count) {
+        return `Guess must contain ${count > 1 ? `${count} copies of ` : ''}${char.toUpperCase()}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Score a guess in a game
+ * @param {WordSearchEngine} engine - Supplies the valid words
+ * @param {Object} game - Game state
+ * @param {string} game.answer - Hidden word
+ * @param {string} game.guess - New guess
+ * @param {Array<string>} game.previous - Guesses already played
+ * @param {boolean} game.hardMode - Enforce the hard mode rule
+ * @returns {{feedback: string, solved: boolean, finished: boolean, history: Array}} Tiles for
+ *   the guess and whether the game is over
+ */
+function playGuess(engine, { answer, guess, previous = [], hardMode = false }) {
+  const history = previous.map(word => ({ guess: word, feedback: scoreGuess(word, answer) }));
+  if (history.some(({ guess: word }) => word === answer) || history.length >= MAX_GUESSES) {
+    throw new QueryError('This game is already over');
+  }
+
+  if ([...guess].length !== answer.length) {
+    throw new QueryError(`Guesses need ${answer.length} letters`);
+  }
+  if (!engine.words.has(guess)) {
+    throw new QueryError(`"${guess}" is not in the word list`);
+  }
+  const broken = hardMode ? checkHardMode(guess, history) : null;
+  if (broken) {
+    throw new QueryError(broken);
+  }
+
+  const feedback = scoreGuess(guess, answer);
+  const solved = guess === answer;
+  return {
+    feedback,
+    solved,
+    finished: solved || history.length + 1 >= MAX_GUESSES,
+    history: [...history, { guess, feedback }]
+  };
+}
+
+/**
+ * Emoji grid for sharing a finished game, without the letters
+ * @param {Object} game - Finished game
+ * @param {string} game.title - e.g. "Word Search 2024-01-01"
+ * @param {Array<string>} game.feedback - Tiles of each guess, such as "GYBBB"
+ * @param {boolean} game.solved - Whether the last guess was right
+ * @param {boolean} game.hardMode - Adds Wordle's "*" after the score
+ * @returns {string} Text to paste
+ */
+function shareGrid({ title, feedback, solved, hardMode = false }) {
+  const tiles = { G: '🟩', Y: '🟨', B: '⬛' };
+  const score = `${solved ? feedback.length : 'X'}/${MAX_GUESSES}${hardMode ? '*' : ''}`;
+  const rows = feedback.map(row => [...row].map(tile => tiles[tile]).join(''));
+  return [`${title} ${score}`, '', ...rows].join('\n');
+}
+
+module.exports = {
+  getDailyAnswer,
+  getPracticeAnswer,
+  checkHardMode,
+  playGuess,
+  shareGrid,
+  readDate,
+  MAX_GUESSES
+};
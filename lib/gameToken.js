@@ -0,0 +1,45 @@
+/**
+ * Signed Game Progress
+ *
+ * /api/play keeps no state: the client sends back the guesses it has played.
+ * Every response carries an HMAC over the game and its guesses, and the next
+ * request has to return it, so the server only continues (and eventually
+ * reveals the answer of) games whose guesses it scored itself. Server-only:
+ * it needs Node's crypto module.
+ */
+const crypto = require('crypto');
+const { QueryError } = require('./errors');
+
+// Set GAME_SECRET so tokens survive restarts and work across server instances
+const SECRET = process.env.GAME_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign a game's guesses so far
+ * @param {Object} game - What identifies the game, e.g. { mode: 'daily', date: '2024-01-01' }
+ * @param {Array<string>} guesses - Guesses played, in order
+ * @returns {string} Token to send with the next guess
+ */
+function signGame(game, guesses) {
+  return crypto.createHmac('sha256', SECRET).update(JSON.stringify([game, guesses])).digest('base64url');
+}
+
+/**
+ * Check that the guesses sent back are the ones the server scored
+ * @param {Object} game - Same identity as passed to signGame
+ * @param {Array<string>} guesses - Guesses the client says it played
+ * @param {string|undefined} token - Token from the previous response
+ */
+function verifyGame(game, guesses, token) {
+  if (guesses.length === 0) return;
+
+  const expected = Buffer.from(signGame(game, guesses));
+  const received = Buffer.from(typeof token === 'string' ? token : '');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new QueryError('previous does not match the guesses played in this game');
+  }
+}
+
+module.exports = {
+  signGame,
+  verifyGame
+};
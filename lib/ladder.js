@@ -0,0 +1,115 @@
+/**
+ * Word Ladders
+ *
+ * Finds the shortest chains of words between two words of the same length,
+ * changing one letter per step ("cold" -> "cord" -> "card" -> "ward" -> "warm").
+ * A word's neighbours come from wildcard lookups in the engine's trie, one
+ * per position ("_old", "c_ld", "co_d", "col_"), so no pair of words is ever
+ * compared directly.
+ */
+const { QueryError } = require('./errors');
+
+const MAX_LADDERS = 50; // cap on "all shortest ladders", which can grow combinatorially
+
+/**
+ * Words one letter away from a word
+ * @param {WordSearchEngine} engine - Supplies the trie
+ * @param {string} word - Word to change
+ * @param {Set<string>} words - Words the ladder may use
+ * @returns {Array<string>} Neighbours, sorted
+ */
+function getNeighbours(engine, word, words) {
+  const letters = Array.from(word);
+  const neighbours = new Set();
+  letters.forEach((_, position) => {
+    const pattern = [...letters.slice(0, position), '_', ...letters.slice(position + 1)].join('');
+    for (const match of engine.trie.searchByPattern(pattern)) {
+      if (match !== word && words.has(match)) {
+        neighbours.add(match);
+      }
+    }
+  });
+  return Array.from(neighbours).sort();
+}
+
+/**
+ * Shortest word ladders between two words
+ *
+ * Runs a breadth-first search outwards from the target, so every word reached
+ * knows its distance to it, then walks from the start word through neighbours
+ * one step closer each time. Ladders come out in alphabetical order.
+ *
+ * @param {WordSearchEngine} engine - Search engine instance
+ * @param {string} from - First word
+ * @param {string} to - Last word
+ * @param {Object} options - Search options
+ * @param {Set<string>} options.words - Words the ladder may use (defaults to every word)
+ * @param {boolean} options.all - Return every shortest ladder (up to MAX_LADDERS) instead of one
+ * @returns {{ladders: Array<Array<string>>, steps: number|null, truncated: boolean}} Ladders
+ *   including both ends; empty with null steps if the words are not connected
+ */
+function findLadders(engine, from, to, { words = engine.words, all = false } = {}) {
+  if (Array.from(from).length !== Array.from(to).length) {
+    throw new QueryError(`"${from}" and "${to}" must have the same number of letters`);
+  }
+  for (const word of [from, to]) {
+    if (!words.has(word)) {
+      throw new QueryError(`"${word}" is not in the word list`);
+    }
+  }
+
+  const neighbourCache = new Map();
+  const neighboursOf = word => {
+    if (!neighbourCache.has(word)) {
+      neighbourCache.set(word, getNeighbours(engine, word, words));
+    }
+    return neighbourCache.get(word);
+  };
+
+  // Distance to the target of every word up to the start word's layer
+  const distance = new Map([[to, 0]]);
+  let layer = [to];
+  while (layer.length > 0 && !distance.has(from)) {
+    const next = [];
+    for (const word of layer) {
+      for (const neighbour of neighboursOf(word)) {
+        if (!distance.has(neighbour)) {
+          distance.set(neighbour, distance.get(word) + 1);
+          next.push(neighbour);
+        }
+      }
+    }
+    layer = next;
+  }
+
+  if (!distance.has(from)) {
+    return { ladders: [], steps: null, truncated: false };
+  }
+
+  const limit = all ? MAX_LADDERS : 1;
+  const ladders = [];
+  let truncated = false;
+  const walk = (path) => {
+    const word = path[path.length - 1];
+    if (word === to) {
+      if (ladders.length < limit) {
+        ladders.push(path);
+      } else {
+        truncated = true;
+      }
+      return;
+    }
+    for (const neighbour of neighboursOf(word)) {
+      if (truncated) return;
+      if (distance.get(neighbour) === distance.get(word) - 1) {
+        walk([...path, neighbour]);
+      }
+    }
+  };
+  walk([from]);
+
+  // A single ladder is never reported as truncated
+  return { ladders, steps: distance.get(from), truncated: all && truncated };
+}
+
+module.exports = { findLadders, getNeighbours, MAX_LADDERS };
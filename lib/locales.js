@@ -0,0 +1,127 @@
+/**
+ * Locale Support
+ *
+ * Each locale has its own word list and alphabet. Input and dictionary words
+ * are normalised the same way so accented letters always compare equal, and
+ * with foldAccents enabled accents are dropped entirely (é -> e) except for
+ * letters the language treats as distinct, such as Spanish ñ.
+ */
+const { QueryError } = require('./errors');
+
+const DEFAULT_LOCALE = 'en';
+
+const LOCALES = {
+  en: {
+    name: 'English',
+    alphabet: 'abcdefghijklmnopqrstuvwxyz',
+    distinctLetters: ''
+  },
+  es: {
+    name: 'Español',
+    alphabet: 'abcdefghijklmnñopqrstuvwxyzáéíóúü',
+    distinctLetters: 'ñ'
+  },
+  fr: {
+    name: 'Français',
+    alphabet: 'abcdefghijklmnopqrstuvwxyzàâæçéèêëîïôœùûüÿ',
+    distinctLetters: 'æœ'
+  },
+  de: {
+    name: 'Deutsch',
+    alphabet: 'abcdefghijklmnopqrstuvwxyzäöüß',
+    distinctLetters: 'ß'
+  }
+};
+
+/**
+ * Look up a locale
+ * @param {string} code - Locale code such as "es"
+ * @returns {Object} Locale settings
+ */
+function getLocale(code = DEFAULT_LOCALE) {
+  // Own keys only, so "constructor" or "toString" is an unknown locale too
+  if (!Object.hasOwn(LOCALES, code)) {
+    throw new QueryError(`Unknown locale "${code}", expected one of: ${Object.keys(LOCALES).join(', ')}`);
+  }
+  return LOCALES[code];
+}
+
+/**
+ * Load a locale's word list; static requires so the files get bundled
+ * @param {string} code - Locale code
+ * @returns {Object} Words data in the {"word": 1} format
+ */
+function loadLocaleDictionary(code) {
+  switch (code) {
+    case 'es': return require('../words_dictionary_es.json');
+    case 'fr': return require('../words_dictionary_fr.json');
+    case 'de': return require('../words_dictionary_de.json');
+    default: return require('../words_dictionary.json');
+  }
+}
+
+/**
+ * Normalise text for a locale: composed Unicode, optionally without accents
+ * @param {string} text - Word or query text
+ * @param {string} code - Locale code
+ * @param {boolean} foldAccents - Treat accented letters as their base letter
+ * @returns {string} Normalised text (case is left to the parsers)
+ */
+function normalizeText(text, code = DEFAULT_LOCALE, foldAccents = false) {
+  const composed = text.normalize('NFC');
+  if (!foldAccents) return composed;
+
+  const { distinctLetters } = getLocale(code);
+  let folded = '';
+  for (const char of composed) {
+    folded += distinctLetters.includes(char.toLowerCase())
+      ? char
+      : char.normalize('NFD').replace(/\p{M}/gu, '');
+  }
+  return folded;
+}
+
+/**
+ * Read whether a request asked for accent folding
+ * @param {boolean|string|undefined} value - Query-string or JSON value
+ * @returns {boolean} True for true or "true"
+ */
+function readFoldAccents(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Normalise every letter-bearing field of a search request
+ * @param {Object} params - Request body or query parameters
+ * @param {string} code - Locale code
+ * @param {boolean} foldAccents - Treat accented letters as their base letter
+ * @returns {Object} Copy of params with the query and spec letters normalised
+ */
+function normalizeRequest(params, code = DEFAULT_LOCALE, foldAccents = false) {
+  const normalize = value => {
+    if (typeof value === 'string') return normalizeText(value, code, foldAccents);
+    if (Array.isArray(value)) return value.map(normalize);
+    return value;
+  };
+
+  const normalized = { ...params };
+  for (const field of ['query', 'positions', 'present', 'absent', 'notAt']) {
+    if (params[field] !== undefined) normalized[field] = normalize(params[field]);
+  }
+  if (params.counts && typeof params.counts === 'object' && !Array.isArray(params.counts)) {
+    normalized.counts = Object.fromEntries(
+      Object.entries(params.counts).map(([char, count]) => [normalize(char), count])
+    );
+  }
+  return normalized;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  getLocale,
+  loadLocaleDictionary,
+  normalizeText,
+  readFoldAccents,
+  normalizeRequest
+};
@@ -0,0 +1,199 @@
+/**
+ * Near Matches
+ *
+ * "Did you mean" words for searches that match nothing, usually because of a
+ * mistyped clue. Pattern queries are matched by edit distance (a letter
+ * changed, added or left out, or two neighbours swapped); feedback and
+ * constraint-spec searches by how many clues a word breaks. Both walk the
+ * engine's trie and abandon a branch as soon as it is over budget, so most of
+ * the dictionary is never visited.
+ */
+const { parsePattern } = require('./pattern');
+const { describeConstraint } = require('./constraints');
+const { QueryError } = require('./errors');
+
+const DEFAULT_NEAR_DISTANCE = 1;
+const MAX_NEAR_DISTANCE = 2;
+const MAX_NEAR_MATCHES = 20;
+
+/**
+ * Read how far near matches may be from the search
+ * @param {number|string|undefined} value - Requested distance
+ * @returns {number} Edits or broken clues allowed, DEFAULT_NEAR_DISTANCE when unset
+ */
+function readNearDistance(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_NEAR_DISTANCE;
+
+  const distance = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value) : value;
+  if (!Number.isInteger(distance) || distance < 1 || distance > MAX_NEAR_DISTANCE) {
+    throw new QueryError(`nearDistance must be between 1 and ${MAX_NEAR_DISTANCE}`);
+  }
+  return distance;
+}
+
+function slotMatches(slot, char) {
+  return slot.any || slot.chars.has(char) !== slot.negated;
+}
+
+// Closest first, then alphabetical
+function sortMatches(matches) {
+  return matches
+    .sort((a, b) => a.distance - b.distance || a.word.localeCompare(b.word))
+    .slice(0, MAX_NEAR_MATCHES);
+}
+
+/**
+ * Words within a few edits of a position pattern
+ *
+ * Each trie node carries a row of the edit-distance table between the path
+ * so far and the pattern's slots (and the row before it, for swaps); a branch
+ * whose whole row is over the budget cannot come back under it and is not
+ * explored.
+ *
+ * @param {WordSearchEngine} engine - Search engine instance
+ * @param {string} pattern - Position pattern, e.g. "w_rsd"
+ * @param {Object} options - Search options
+ * @param {number} options.distance - Most edits allowed
+ * @param {number|null} options.length - Only keep words of this length
+ * @param {Set<string>} options.words - Words to keep (defaults to every word)
+ * @returns {Array<{word: string, distance: number, breaks: Array<string>}>} Near matches
+ *   (exact matches excluded), closest first
+ */
+function findNearPatternMatches(engine, pattern, { distance = DEFAULT_NEAR_DISTANCE, length = null, words = engine.words } = {}) {
+  const slots = parsePattern(pattern);
+  const matches = [];
+
+  engine.trie.walk(
+    ({ row, previousRow, previousChar }, char) => {
+      const next = [row[0] + 1];
+      for (let j = 1; j <= slots.length; j++) {
+        let cost = Math.min(
+          row[j] + 1, // letter the pattern does not have
+          next[j - 1] + 1, // slot left out
+          row[j - 1] + (slotMatches(slots[j - 1], char) ? 0 : 1) // slot filled, rightly or not
+        );
+        if (previousRow && j > 1 && slotMatches(slots[j - 1], previousChar) && slotMatches(slots[j - 2], char)) {
+          cost = Math.min(cost, previousRow[j - 2] + 1); // two letters swapped
+        }
+        next.push(cost);
+      }
+      return Math.min(...next) > distance ? null : { row: next, previousRow: row, previousChar: char };
+    },
+    (word, { row }) => {
+      const edits = row[slots.length];
+      if (edits === 0 || edits > distance || !words.has(word)) return;
+      if (length !== null && Array.from(word).length !== length) return;
+      matches.push({ word, distance: edits, breaks: [`${edits} ${edits === 1 ? 'edit' : 'edits'} from ${pattern.toUpperCase()}`] });
+    },
+    { row: Array.from({ length: slots.length + 1 }, (_, j) => j), previousRow: null, previousChar: null }
+  );
+
+  return sortMatches(matches);
+}
+
+// Test for a clue that needs the whole word
+function wordTest(constraint) {
+  switch (constraint.type) {
+    case 'starts_with':
+      return word => word.startsWith(constraint.value);
+    case 'ends_with':
+      return word => word.endsWith(constraint.value);
+    case 'contains_substring':
+    case 'contains':
+      return word => word.includes(constraint.value);
+    case 'excludes':
+      return word => !word.includes(constraint.value);
+    case 'letter_count': {
+      const min = constraint.min || 0;
+      const max = constraint.max ?? null;
+      return word => {
+        const count = Array.from(word).filter(char => char === constraint.char).length;
+        return count >= min && (max === null || count <= max);
+      };
+    }
+    default:
+      throw new Error(`Unsupported constraint type "${constraint.type}"`);
+  }
+}
+
+/**
+ * Words that break only a few of a search's clues
+ *
+ * Letter clues (a letter at, or not at, a position, and each slot of a
+ * pattern) are checked as the trie walk places each letter, so a branch stops
+ * once it breaks too many; the rest are checked on the finished word. The
+ * length and dictionary are never relaxed.
+ *
+ * @param {WordSearchEngine} engine - Search engine instance
+ * @param {Array} constraints - Constraints as passed to advancedSearch
+ * @param {Object} options - Search options
+ * @param {number} options.distance - Most clues a word may break
+ * @param {Set<string>} options.words - Words to keep (defaults to every word)
+ * @returns {Array<{word: string, distance: number, breaks: Array<string>}>} Near matches
+ *   with a description of each broken clue, closest first
+ */
+function findNearConstraintMatches(engine, constraints, { distance = DEFAULT_NEAR_DISTANCE, words = engine.words } = {}) {
+  let length = null;
+  const dictionaries = [];
+  const letterClues = []; // position -> clues checked as the letter is placed
+  const wordClues = [];
+  const addLetterClue = (position, constraint, test) => {
+    (letterClues[position] = letterClues[position] || []).push({ constraint, test });
+  };
+
+  for (const constraint of constraints) {
+    if (constraint.type === 'length') {
+      length = constraint.value;
+    } else if (constraint.type === 'dictionary') {
+      dictionaries.push(engine.getDictionary(constraint.value));
+    } else if (constraint.type === 'contains_at_position') {
+      addLetterClue(constraint.position, constraint, char => char === constraint.char);
+    } else if (constraint.type === 'not_at_position') {
+      addLetterClue(constraint.position, constraint, char => char !== constraint.char);
+    } else if (constraint.type === 'pattern') {
+      // Every slot of a pattern is a clue of its own
+      const slots = parsePattern(constraint.value);
+      length = length ?? slots.length;
+      slots.forEach((slot, position) => {
+        if (!slot.any) {
+          addLetterClue(position, { ...constraint, position }, char => slotMatches(slot, char));
+        }
+      });
+    } else {
+      wordClues.push({ constraint, test: wordTest(constraint) });
+    }
+  }
+  if (length === null) return [];
+
+  const matches = [];
+  engine.trie.walk(
+    ({ depth, broken }, char) => {
+      if (depth === length) return null;
+      const failed = (letterClues[depth] || []).filter(({ test }) => !test(char));
+      if (failed.length === 0) return { depth: depth + 1, broken };
+      return broken.length + failed.length > distance ? null : { depth: depth + 1, broken: [...broken, ...failed] };
+    },
+    (word, { depth, broken }) => {
+      if (depth !== length || !words.has(word) || dictionaries.some(dictionary => !dictionary.has(word))) return;
+      const allBroken = [...broken, ...wordClues.filter(({ test }) => !test(word))];
+      if (allBroken.length === 0 || allBroken.length > distance) return;
+      matches.push({
+        word,
+        distance: allBroken.length,
+        breaks: allBroken.map(({ constraint }) => describeConstraint(constraint))
+      });
+    },
+    { depth: 0, broken: [] }
+  );
+
+  return sortMatches(matches);
+}
+
+module.exports = {
+  findNearPatternMatches,
+  findNearConstraintMatches,
+  readNearDistance,
+  DEFAULT_NEAR_DISTANCE,
+  MAX_NEAR_DISTANCE,
+  MAX_NEAR_MATCHES
+};
@@ -4,14 +4,24 @@
  * This file contains optimizations to ensure the word search app
  * runs efficiently within Vercel's serverless function constraints.
  */
+const { QueryError } = require('./errors');
 
 // Memory optimization: Limit the number of results returned
 const MAX_RESULTS = 1000;
 const MAX_SUGGESTIONS = 20;
 
-// Cache optimization: Simple in-memory cache for frequent queries
+// Cache optimization: LRU cache for frequent queries; a Map iterates in
+// insertion order, so re-inserting on every hit keeps the oldest entry first
 const queryCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const CACHE_SIZE = 100;
+// Entries are also bounded by the words they hold, so a few full-dictionary
+// sweeps can't pin the memory of a long-running server; a bigger result set
+// than CACHE_MAX_ENTRY_WORDS is cheaper to recompute than to keep
+const CACHE_MAX_WORDS = 50000;
+const CACHE_MAX_ENTRY_WORDS = 5000;
+const cacheStats = { hits: 0, misses: 0, evictions: 0 };
+let cachedWords = 0;
 
 /**
  * Optimize search results to prevent memory issues
@@ -28,44 +38,123 @@ function optimizeResults(results, maxResults = MAX_RESULTS) {
   return results.slice(0, maxResults);
 }
 
+/**
+ * Read a requested page size, which may arrive as a query-string value
+ * @param {number|string|undefined} value - Requested limit
+ * @returns {number} Page size, capped at MAX_RESULTS
+ */
+function readLimit(value) {
+  if (value === undefined || value === null || value === '') return MAX_RESULTS;
+
+  const limit = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value) : value;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new QueryError('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_RESULTS);
+}
+
+/**
+ * Cut one page out of an ordered result list
+ *
+ * The cursor is the last word of the previous page, so a page boundary
+ * stays put however the list is sorted.
+ *
+ * @param {Array<string>} results - Every match, already in display order
+ * @param {{limit?: number|string, cursor?: string}} options - Page size and cursor
+ * @returns {{results: Array<string>, total: number, nextCursor: string|null, truncated: boolean}}
+ *   The page, the overall match count and the cursor for the next page (null on the last one)
+ */
+function paginateResults(results, { limit, cursor } = {}) {
+  let start = 0;
+  if (cursor) {
+    const index = results.indexOf(cursor);
+    if (index === -1) {
+      throw new QueryError(`Invalid cursor "${cursor}"; it must be a word from the previous page`);
+    }
+    start = index + 1;
+  }
+
+  const page = optimizeResults(results.slice(start), readLimit(limit));
+  const truncated = start + page.length < results.length;
+
+  return {
+    results: page,
+    total: results.length,
+    nextCursor: truncated ? page[page.length - 1] : null,
+    truncated
+  };
+}
+
 /**
  * Get cached results if available and not expired
- * @param {string} query - Search query
+ * @param {string} key - Normalised search key
  * @returns {Object|null} Cached results or null
  */
-function getCachedResults(query) {
-  const cached = queryCache.get(query);
-  if (!cached) return null;
-  
-  if (Date.now() - cached.timestamp > CACHE_TTL) {
-    queryCache.delete(query);
+function getCachedResults(key) {
+  const cached = queryCache.get(key);
+  if (!cached || Date.now() - cached.timestamp > CACHE_TTL) {
+    if (cached) removeCacheEntry(key);
+    cacheStats.misses++;
     return null;
   }
-  
+
+  // Move to the most recently used end
+  queryCache.delete(key);
+  queryCache.set(key, cached);
+  cacheStats.hits++;
   return cached.results;
 }
 
+function removeCacheEntry(key) {
+  cachedWords -= queryCache.get(key).wordCount;
+  queryCache.delete(key);
+}
+
 /**
  * Cache search results for future use
- * @param {string} query - Search query
- * @param {Object} results - Search results
+ *
+ * Result sets over CACHE_MAX_ENTRY_WORDS words are not cached.
+ *
+ * @param {string} key - Normalised search key
+ * @param {Object} results - Search results, with the matches in results.words
  */
-function cacheResults(query, results) {
-  // Only cache successful searches with reasonable result counts
-  if (results && results.results && results.results.length > 0 && results.results.length < 100) {
-    queryCache.set(query, {
-      results: results,
-      timestamp: Date.now()
-    });
-    
-    // Limit cache size to prevent memory issues
-    if (queryCache.size > 100) {
-      const firstKey = queryCache.keys().next().value;
-      queryCache.delete(firstKey);
-    }
+function cacheResults(key, results) {
+  const wordCount = results.words ? results.words.length : 0;
+  if (queryCache.has(key)) removeCacheEntry(key);
+  if (wordCount > CACHE_MAX_ENTRY_WORDS) return;
+
+  queryCache.set(key, {
+    results: results,
+    wordCount,
+    timestamp: Date.now()
+  });
+  cachedWords += wordCount;
+
+  // Evict the least recently used entries to prevent memory issues
+  while (queryCache.size > CACHE_SIZE || cachedWords > CACHE_MAX_WORDS) {
+    removeCacheEntry(queryCache.keys().next().value);
+    cacheStats.evictions++;
   }
 }
 
+/**
+ * Cache counters for monitoring
+ * @returns {{size: number, maxSize: number, words: number, maxWords: number, ttlMs: number, hits: number, misses: number, evictions: number, hitRate: number}}
+ *   Current size and lifetime counters; hitRate is hits / lookups
+ */
+function getCacheStats() {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return {
+    size: queryCache.size,
+    maxSize: CACHE_SIZE,
+    words: cachedWords,
+    maxWords: CACHE_MAX_WORDS,
+    ttlMs: CACHE_TTL,
+    ...cacheStats,
+    hitRate: lookups > 0 ? Math.round((cacheStats.hits / lookups) * 10000) / 10000 : 0
+  };
+}
+
 /**
  * Memory usage optimization: Clean up large objects
  * @param {WordSearchEngine} engine - Search engine instance
@@ -131,8 +220,11 @@ function processInBatches(items, processor, batchSize = 100) {
 
 module.exports = {
   optimizeResults,
+  readLimit,
+  paginateResults,
   getCachedResults,
   cacheResults,
+  getCacheStats,
   optimizeMemoryUsage,
   optimizeResponse,
   processInBatches,
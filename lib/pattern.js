@@ -0,0 +1,53 @@
+/**
+ * Position Patterns
+ *
+ * Parser for the slot syntax shared by the tries and the bitset index:
+ * letters, "_" or "?" wildcards and [abc] / [^abc] letter classes.
+ */
+const { QueryError } = require('./errors');
+
+// A pattern made only of slot syntax: letters, _ or ? wildcards, [abc] and [^abc] classes
+const PATTERN_SYNTAX = /^(?:[\p{L}_?]|\[\^?\p{L}+\])+$/u;
+
+/**
+ * Parse a position pattern into one matcher per slot
+ *
+ * Each slot is a letter, "_" or "?" (any letter), "[abc]" (one of the
+ * letters) or "[^abc]" (any letter but those).
+ *
+ * @param {string} pattern - e.g. "[st]_[aeiou]_[^xyz]"
+ * @returns {Array<{any: boolean, chars: Set<string>, negated: boolean}>} Slots
+ */
+function parsePattern(pattern) {
+  const slots = [];
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+    if (char === '_' || char === '?') {
+      slots.push({ any: true, chars: new Set(), negated: false });
+      i++;
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) {
+        throw new QueryError(`Unclosed "[" at position ${i} in pattern "${pattern}"`, i);
+      }
+      const negated = pattern[i + 1] === '^';
+      const letters = pattern.slice(negated ? i + 2 : i + 1, end).toLowerCase();
+      if (!/^\p{L}+$/u.test(letters)) {
+        throw new QueryError(`Letter class at position ${i} in pattern "${pattern}" must list letters`, i);
+      }
+      slots.push({ any: false, chars: new Set(letters), negated });
+      i = end + 1;
+    } else if (/\p{L}/u.test(char)) {
+      slots.push({ any: false, chars: new Set([char.toLowerCase()]), negated: false });
+      i++;
+    } else {
+      throw new QueryError(`Unexpected "${char}" at position ${i} in pattern "${pattern}"`, i);
+    }
+  }
+
+  return slots;
+}
+
+module.exports = { PATTERN_SYNTAX, parsePattern };
@@ -0,0 +1,313 @@
+/**
+ * Boolean Query Language
+ *
+ * Tokenizer and recursive-descent parser for advanced queries such as
+ *
+ *   starts with S AND (contains A OR contains O) AND NOT contains E
+ *
+ * Grammar (keywords are case-insensitive):
+ *
+ *   query   := or
+ *   or      := and ("OR" and)*
+ *   and     := not (("AND" | "," ["ALSO"] | "ALSO") not)*
+ *   not     := "NOT" not | primary
+ *   primary := "(" or ")" | clause
+ *   clause  := N "letter[s]" ["word[s]"]               length
+ *            | "starts with" LETTERS                   prefix
+ *            | "ends with" LETTERS                     suffix
+ *            | "contains" LETTER                       letter present
+ *            | "contains" ["substring"] LETTERS        run of letters, e.g. igh
+ *            | ["contains"] [QUALIFIER] COUNT LETTER[s] letter count
+ *            | ORDINAL "letter is" ["not"] LETTER      letter at / not at a slot
+ *            | PATTERN                                 e.g. w___s, [st]_[^xyz]__
+ *
+ * QUALIFIER is "exactly", "at least" or "at most"; a bare count means at least.
+ * The parser produces an AST of { type: 'and' | 'or', children },
+ * { type: 'not', child } and { type: 'clause', constraint } nodes, where each
+ * constraint is one understood by WordSearchEngine.advancedSearch.
+ */
+const { QueryError } = require('./errors');
+
+const COUNT_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+const TOKEN_PATTERNS = [
+  ['whitespace', /^\s+/],
+  ['lparen', /^\(/],
+  ['rparen', /^\)/],
+  ['comma', /^,/],
+  ['ordinal', /^\d+(?:st|nd|rd|th)\b/i],
+  ['number', /^\d+/],
+  ['word', /^(?:[\p{L}_?]|\[\^?\p{L}+\])+(?:'s)?/u]
+];
+
+/**
+ * Split a query into tokens
+ * @param {string} query - Raw query text
+ * @returns {Array<{type: string, value: string, position: number}>} Tokens
+ */
+function tokenize(query) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < query.length) {
+    const rest = query.slice(position);
+    let matched = false;
+
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      const match = rest.match(pattern);
+      if (match) {
+        if (type !== 'whitespace') {
+          tokens.push({ type, value: match[0], position });
+        }
+        position += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      throw new QueryError(`Unexpected character "${query[position]}" at position ${position}`, position);
+    }
+  }
+
+  return tokens;
+}
+
+class QueryParser {
+  constructor(query) {
+    this.query = query;
+    this.tokens = tokenize(query);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new QueryError('Query is empty', 0);
+    }
+
+    const ast = this.parseOr();
+    if (this.peek()) {
+      this.fail(`Unexpected "${this.peek().value}"`);
+    }
+    return ast;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset] || null;
+  }
+
+  next() {
+    return this.tokens[this.index++] || null;
+  }
+
+  isKeyword(token, ...keywords) {
+    return Boolean(token) && token.type === 'word' && keywords.includes(token.value.toLowerCase());
+  }
+
+  expectKeyword(...keywords) {
+    const token = this.next();
+    if (!this.isKeyword(token, ...keywords)) {
+      this.fail(`Expected "${keywords[0]}"`, token);
+    }
+    return token;
+  }
+
+  // Position of the token, or the end of the query once tokens run out
+  fail(message, token = this.peek()) {
+    const position = token ? token.position : this.query.length;
+    const found = token ? `at position ${position}` : 'at end of query';
+    throw new QueryError(`${message} ${found}`, position);
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+    while (this.isKeyword(this.peek(), 'or')) {
+      this.next();
+      children.push(this.parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd() {
+    const children = [this.parseNot()];
+    for (;;) {
+      const token = this.peek();
+      if (token && token.type === 'comma') {
+        this.next();
+        if (this.isKeyword(this.peek(), 'also', 'and')) this.next();
+      } else if (this.isKeyword(token, 'and', 'also')) {
+        this.next();
+      } else {
+        break;
+      }
+      children.push(this.parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseNot() {
+    if (this.isKeyword(this.peek(), 'not')) {
+      this.next();
+      return { type: 'not', child: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (token && token.type === 'lparen') {
+      this.next();
+      const expression = this.parseOr();
+      const closing = this.next();
+      if (!closing) {
+        throw new QueryError(`Unclosed "(" at position ${token.position}`, token.position);
+      }
+      if (closing.type !== 'rparen') {
+        this.fail('Expected ")" or AND/OR', closing);
+      }
+      return expression;
+    }
+    return { type: 'clause', constraint: this.parseClause() };
+  }
+
+  parseClause() {
+    const token = this.peek();
+    if (!token) {
+      this.fail('Expected a clause');
+    }
+
+    if (token.type === 'number' && this.isKeyword(this.peek(1), 'letter', 'letters')) {
+      this.next();
+      this.next();
+      if (this.isKeyword(this.peek(), 'word', 'words')) this.next();
+      return { type: 'length', value: parseInt(token.value) };
+    }
+
+    if (token.type === 'ordinal') {
+      return this.parsePositionClause();
+    }
+
+    if (this.isKeyword(token, 'starts', 'start', 'begins', 'begin')) {
+      this.next();
+      this.expectKeyword('with');
+      return { type: 'starts_with', value: this.readLetters() };
+    }
+
+    if (this.isKeyword(token, 'ends', 'end')) {
+      this.next();
+      this.expectKeyword('with');
+      return { type: 'ends_with', value: this.readLetters() };
+    }
+
+    if (this.isKeyword(token, 'contains', 'contain', 'has')) {
+      this.next();
+      if (this.isCountStart(this.peek())) {
+        return this.parseCountClause();
+      }
+      if (this.isKeyword(this.peek(), 'substring')) {
+        this.next();
+        return { type: 'contains_substring', value: this.readLetters() };
+      }
+      const letters = this.readLetters();
+      return letters.length === 1
+        ? { type: 'contains', value: letters }
+        : { type: 'contains_substring', value: letters };
+    }
+
+    if (this.isCountStart(token)) {
+      return this.parseCountClause();
+    }
+
+    if (token.type === 'word' && /[_?[]/.test(token.value)) {
+      this.next();
+      return { type: 'pattern', value: token.value.toLowerCase() };
+    }
+
+    this.fail(`Unknown clause "${token.value}"`);
+  }
+
+  parsePositionClause() {
+    const ordinal = this.next();
+    const position = parseInt(ordinal.value) - 1;
+    if (position < 0) {
+      throw new QueryError(`Letter positions start at 1st, got "${ordinal.value}" at position ${ordinal.position}`, ordinal.position);
+    }
+
+    this.expectKeyword('letter');
+    this.expectKeyword('is');
+    const negated = this.isKeyword(this.peek(), 'not');
+    if (negated) this.next();
+
+    return {
+      type: negated ? 'not_at_position' : 'contains_at_position',
+      char: this.readLetter(),
+      position
+    };
+  }
+
+  isCountStart(token) {
+    if (!token) return false;
+    if (token.type === 'number') return true;
+    return this.isKeyword(token, 'exactly', 'at', ...Object.keys(COUNT_WORDS));
+  }
+
+  parseCountClause() {
+    let qualifier = 'at least';
+    if (this.isKeyword(this.peek(), 'exactly')) {
+      this.next();
+      qualifier = 'exactly';
+    } else if (this.isKeyword(this.peek(), 'at')) {
+      this.next();
+      qualifier = `at ${this.expectKeyword('least', 'most').value.toLowerCase()}`;
+    }
+
+    const token = this.next();
+    let count;
+    if (token && token.type === 'number') {
+      count = parseInt(token.value);
+    } else if (token && token.type === 'word' && COUNT_WORDS[token.value.toLowerCase()]) {
+      count = COUNT_WORDS[token.value.toLowerCase()];
+    } else {
+      this.fail('Expected a count', token);
+    }
+
+    const char = this.readLetter({ plural: true });
+    return {
+      type: 'letter_count',
+      char,
+      min: qualifier === 'at most' ? 0 : count,
+      max: qualifier === 'at least' ? null : count
+    };
+  }
+
+  // A single letter; with plural, also "Es" / "E's" as in "two Es"
+  readLetter({ plural = false } = {}) {
+    const token = this.next();
+    const pattern = plural ? /^(\p{L})(?:'?s)?$/u : /^(\p{L})$/u;
+    const match = token && token.type === 'word' ? token.value.match(pattern) : null;
+    if (!match) {
+      this.fail('Expected a letter', token);
+    }
+    return match[1].toLowerCase();
+  }
+
+  readLetters() {
+    const token = this.next();
+    if (!token || token.type !== 'word' || !/^\p{L}+$/u.test(token.value)) {
+      this.fail('Expected letters', token);
+    }
+    return token.value.toLowerCase();
+  }
+}
+
+/**
+ * Parse a boolean query into an AST
+ * @param {string} query - e.g. "starts with S AND NOT contains E"
+ * @returns {Object} AST for WordSearchEngine.evaluateQuery
+ * @throws {QueryError} With the character position of the problem
+ */
+function parseBooleanQuery(query) {
+  return new QueryParser(query).parse();
+}
+
+module.exports = { tokenize, parseBooleanQuery };
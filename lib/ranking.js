@@ -0,0 +1,144 @@
+/**
+ * Result Ranking
+ *
+ * Orders search results and scores each word. Letter-based scores are
+ * computed over the result set itself, so they reflect which letters are
+ * still common among the remaining candidates.
+ */
+const { QueryError } = require('./errors');
+
+const SORT_OPTIONS = ['alphabetical', 'frequency', 'positional', 'coverage', 'length'];
+const DEFAULT_SORT = 'alphabetical';
+
+/**
+ * Count how many words have each letter at each position
+ * @param {Array<string>} words - Words to count over
+ * @returns {Array<Map<string, number>>} One letter -> count map per position
+ */
+function countLettersByPosition(words) {
+  const counts = [];
+  for (const word of words) {
+    for (let i = 0; i < word.length; i++) {
+      if (!counts[i]) counts[i] = new Map();
+      counts[i].set(word[i], (counts[i].get(word[i]) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Count how many words contain each letter at least once
+ * @param {Array<string>} words - Words to count over
+ * @returns {Map<string, number>} letter -> number of words containing it
+ */
+function countLettersByWord(words) {
+  const counts = new Map();
+  for (const word of words) {
+    for (const char of new Set(word)) {
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Letter statistics over a candidate list
+ * @param {Array<string>} words - Candidates, all of one length
+ * @param {number} length - Word length
+ * @param {Array<string>} alphabet - Letters to report even when no candidate has them
+ * @returns {{letters: Array<string>, positions: Array<Object>, overall: Object}} Letters in
+ *   display order, one letter -> count object per position, and letter -> candidates containing it
+ */
+function getLetterStats(words, length, alphabet) {
+  const positionCounts = countLettersByPosition(words);
+  const wordCounts = countLettersByWord(words);
+  const letters = [...new Set([...alphabet, ...Array.from(wordCounts.keys()).sort()])];
+
+  return {
+    letters,
+    positions: Array.from({ length }, (_, i) =>
+      Object.fromEntries(letters.map(char => [char, (positionCounts[i] && positionCounts[i].get(char)) || 0]))
+    ),
+    overall: Object.fromEntries(letters.map(char => [char, wordCounts.get(char) || 0]))
+  };
+}
+
+/**
+ * Build the scoring function for a sort option
+ * @param {string} sort - One of SORT_OPTIONS
+ * @param {Array<string>} words - The result set being ranked
+ * @param {WordSearchEngine} engine - Supplies word frequencies
+ * @returns {Function|null} word -> score, or null for alphabetical
+ */
+function createScorer(sort, words, engine) {
+  if (sort === 'frequency') {
+    // Corpus occurrences; words missing from the frequency file score 0
+    return word => engine.getWordFrequency(word);
+  }
+
+  if (sort === 'length') {
+    // Longest words first, mainly for anagram results that mix lengths
+    return word => word.length;
+  }
+
+  if (sort === 'positional') {
+    // Sum over slots of the share of candidates with the same letter there
+    const positionCounts = countLettersByPosition(words);
+    return word => {
+      let score = 0;
+      for (let i = 0; i < word.length; i++) {
+        score += positionCounts[i].get(word[i]) / words.length;
+      }
+      return Number(score.toFixed(4));
+    };
+  }
+
+  if (sort === 'coverage') {
+    // Share of candidates each distinct letter appears in; repeats add nothing
+    const letterCounts = countLettersByWord(words);
+    return word => {
+      let score = 0;
+      for (const char of new Set(word)) {
+        score += letterCounts.get(char) / words.length;
+      }
+      return Number(score.toFixed(4));
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Rank words by a sort option
+ * @param {Array<string>} words - Words to rank
+ * @param {string} sort - One of SORT_OPTIONS
+ * @param {WordSearchEngine} engine - Supplies word frequencies
+ * @returns {{words: Array<string>, scores: Object|null}} Ranked words and
+ *   a word -> score map (null when sorting alphabetically)
+ */
+function rankWords(words, sort = DEFAULT_SORT, engine) {
+  if (!SORT_OPTIONS.includes(sort)) {
+    throw new QueryError(`Unknown sort "${sort}", expected one of: ${SORT_OPTIONS.join(', ')}`);
+  }
+
+  const scorer = createScorer(sort, words, engine);
+  if (!scorer) {
+    return { words: [...words].sort(), scores: null };
+  }
+
+  const scores = {};
+  for (const word of words) {
+    scores[word] = scorer(word);
+  }
+
+  // Highest score first; ties stay alphabetical
+  const ranked = [...words].sort((a, b) => scores[b] - scores[a] || a.localeCompare(b));
+  return { words: ranked, scores };
+}
+
+module.exports = {
+  rankWords,
+  getLetterStats,
+  SORT_OPTIONS,
+  DEFAULT_SORT
+};
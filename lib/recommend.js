@@ -0,0 +1,170 @@
+/**
+ * Next-Guess Recommender
+ *
+ * Ranks guesses by the expected information they reveal: each guess splits
+ * the remaining candidates into groups by the feedback pattern it would
+ * produce, and guesses whose groups are small and even score highest.
+ *
+ * Multi-board games (Dordle, Quordle, Octordle) play one guess on every
+ * board at once; each board's feedback is independent, so a guess's
+ * information is the sum of its entropy on the unsolved boards.
+ */
+const { scoreGuessCode } = require('./feedback');
+
+// Limit the answers scored per guess so full-dictionary mode stays well
+// inside the serverless time budget; larger sets are sampled evenly.
+const MAX_SCORED_ANSWERS = 300;
+const DEFAULT_RECOMMENDATIONS = 10;
+// With several boards the answer budget is shared, but each board keeps at least this many
+const MIN_SCORED_PER_BOARD = 50;
+
+/**
+ * Pick an evenly spaced sample of the candidates
+ * @param {Array<string>} candidates - Remaining candidate answers
+ * @param {number} size - Maximum sample size
+ * @returns {Array<string>} Sampled candidates
+ */
+function sampleCandidates(candidates, size) {
+  if (candidates.length <= size) return candidates;
+
+  const step = candidates.length / size;
+  const sample = [];
+  for (let i = 0; i < size; i++) {
+    sample.push(candidates[Math.floor(i * step)]);
+  }
+  return sample;
+}
+
+/**
+ * Score one guess against the candidate answers
+ * @param {string} guess - Word to evaluate
+ * @param {Array<string>} answers - Candidate answers (possibly sampled)
+ * @param {number} total - Full candidate count, for scaling sampled results
+ * @param {Uint16Array} buckets - Zeroed scratch space of 3^length entries,
+ *   left zeroed again on return so callers can reuse it across guesses
+ * @returns {{entropy: number, expectedRemaining: number}} Guess quality
+ */
+function evaluateGuess(guess, answers, total, buckets = new Uint16Array(3 ** guess.length)) {
+  const codes = new Int32Array(answers.length);
+  for (let i = 0; i < answers.length; i++) {
+    codes[i] = scoreGuessCode(guess, answers[i]);
+    buckets[codes[i]]++; // feedback code -> number of answers
+  }
+
+  let entropy = 0;
+  let expectedRemaining = 0;
+  for (const code of codes) {
+    const size = buckets[code];
+    if (size === 0) continue; // bucket already counted
+    buckets[code] = 0;
+    const probability = size / answers.length;
+    entropy -= probability * Math.log2(probability);
+    expectedRemaining += probability * size;
+  }
+
+  return {
+    entropy,
+    expectedRemaining: expectedRemaining * (total / answers.length)
+  };
+}
+
+/**
+ * Recommend the most informative next guesses
+ * @param {Array<string>} candidates - Words still consistent with the clues
+ * @param {Array<string>} dictionary - Every allowed guess
+ * @param {Object} options - Recommendation options
+ * @param {number} options.limit - Number of guesses to return
+ * @param {boolean} options.hardMode - Only guess from the candidates
+ * @returns {Array<{word: string, entropy: number, expectedRemaining: number, isCandidate: boolean}>}
+ */
+function recommendGuesses(candidates, dictionary, { limit = DEFAULT_RECOMMENDATIONS, hardMode = false } = {}) {
+  if (candidates.length === 0) return [];
+
+  const candidateSet = new Set(candidates);
+  const answers = sampleCandidates(candidates, MAX_SCORED_ANSWERS);
+  const guessPool = hardMode || candidates.length <= 2 ? candidates : dictionary;
+
+  const buckets = new Uint16Array(3 ** candidates[0].length);
+  const ranked = guessPool.map(word => ({
+    word,
+    ...evaluateGuess(word, answers, candidates.length, buckets),
+    isCandidate: candidateSet.has(word)
+  }));
+
+  // Prefer more information, then a guess that could win outright
+  ranked.sort((a, b) =>
+    b.entropy - a.entropy ||
+    Number(b.isCandidate) - Number(a.isCandidate) ||
+    a.word.localeCompare(b.word)
+  );
+
+  return ranked.slice(0, limit).map(entry => ({
+    ...entry,
+    entropy: Number(entry.entropy.toFixed(4)),
+    expectedRemaining: Number(entry.expectedRemaining.toFixed(2))
+  }));
+}
+
+/**
+ * Recommend the guesses that best split several boards together
+ * @param {Array<Array<string>>} boards - Remaining candidates of each unsolved board
+ * @param {Array<string>} dictionary - Every allowed guess
+ * @param {Object} options - Recommendation options
+ * @param {number} options.limit - Number of guesses to return
+ * @param {boolean} options.hardMode - Only guess words that are a candidate on some board
+ * @returns {Array<{word: string, entropy: number, expectedRemaining: number, candidateBoards: number, expectedSolved: number}>}
+ *   entropy and expectedRemaining are summed over the boards; candidateBoards
+ *   counts the boards the word could solve and expectedSolved how many it
+ *   solves on average
+ */
+function recommendMultiBoardGuesses(boards, dictionary, { limit = DEFAULT_RECOMMENDATIONS, hardMode = false } = {}) {
+  const open = boards.filter(candidates => candidates.length > 0);
+  if (open.length === 0) return [];
+
+  // Eight boards should cost about as much to score as one
+  const sampleSize = Math.max(MIN_SCORED_PER_BOARD, Math.floor(MAX_SCORED_ANSWERS / open.length));
+  const samples = open.map(candidates => sampleCandidates(candidates, sampleSize));
+  const candidateSets = open.map(candidates => new Set(candidates));
+  const allCandidates = [...new Set(open.flat())];
+  const guessPool = hardMode || allCandidates.length <= 2 ? allCandidates : dictionary;
+
+  const buckets = new Uint16Array(3 ** open[0][0].length);
+  const ranked = guessPool.map(word => {
+    let entropy = 0;
+    let expectedRemaining = 0;
+    open.forEach((candidates, i) => {
+      const score = evaluateGuess(word, samples[i], candidates.length, buckets);
+      entropy += score.entropy;
+      expectedRemaining += score.expectedRemaining;
+    });
+    const solvable = candidateSets.filter(candidates => candidates.has(word));
+    return {
+      word,
+      entropy,
+      expectedRemaining,
+      candidateBoards: solvable.length,
+      expectedSolved: solvable.reduce((sum, candidates) => sum + 1 / candidates.size, 0)
+    };
+  });
+
+  // Prefer more information, then a guess likely to solve boards outright
+  ranked.sort((a, b) =>
+    b.entropy - a.entropy ||
+    b.expectedSolved - a.expectedSolved ||
+    a.word.localeCompare(b.word)
+  );
+
+  return ranked.slice(0, limit).map(entry => ({
+    ...entry,
+    entropy: Number(entry.entropy.toFixed(4)),
+    expectedRemaining: Number(entry.expectedRemaining.toFixed(2)),
+    expectedSolved: Number(entry.expectedSolved.toFixed(3))
+  }));
+}
+
+module.exports = {
+  recommendGuesses,
+  recommendMultiBoardGuesses,
+  evaluateGuess,
+  MAX_SCORED_ANSWERS
+};
@@ -0,0 +1,373 @@
+/**
+ * Shared search service for the API routes
+ *
+ * Owns the process-wide WordSearchEngine instance and the query handling
+ * that more than one route needs.
+ */
+const fs = require('fs');
+const path = require('path');
+const { WordSearchEngine } = require('./wordSearch');
+const { isConstraintSpec, validateConstraintSpec, specToConstraints, readWordLength } = require('./constraints');
+const { parseBooleanQuery } = require('./queryLanguage');
+const { isFeedbackQuery, parseFeedback, feedbackToSpec } = require('./feedback');
+const { DEFAULT_LOCALE, getLocale, loadLocaleDictionary, normalizeText } = require('./locales');
+const { findNearPatternMatches, findNearConstraintMatches, readNearDistance } = require('./nearMatches');
+const { QueryError } = require('./errors');
+
+// Named word lists: "all" is every valid guess, "answers" the likely solutions
+const DEFAULT_DICTIONARY = 'all';
+const ANSWER_DICTIONARY = 'answers';
+
+// "search" reads the query as a pattern or question, "anagram" as a bag of letters
+const SEARCH_MODES = ['search', 'anagram'];
+
+// Engine snapshots written at build time by lib/buildSnapshot.js
+const SNAPSHOT_DIR = path.join(process.cwd(), 'snapshots');
+
+// One engine per locale (and accent folding), built on first use
+const searchEngines = new Map();
+
+/**
+ * Where the build-time snapshot of a locale's engine lives
+ * @param {string} locale - Locale code
+ * @returns {string} File path
+ */
+function getSnapshotPath(locale) {
+  return path.join(SNAPSHOT_DIR, `${locale}.bin`);
+}
+
+/**
+ * Build an engine for one locale
+ * @param {string} locale - Locale code
+ * @param {boolean} foldAccents - Index words with accents removed
+ * @returns {WordSearchEngine} Loaded engine
+ */
+function createSearchEngine(locale, foldAccents) {
+  const wordsData = {};
+  for (const word of Object.keys(loadLocaleDictionary(locale))) {
+    wordsData[normalizeText(word, locale, foldAccents)] = 1;
+  }
+
+  const engine = new WordSearchEngine();
+  engine.loadWords(wordsData, DEFAULT_DICTIONARY);
+
+  // The answer list and word frequencies only exist for English
+  if (locale === DEFAULT_LOCALE) {
+    engine.addDictionary(ANSWER_DICTIONARY, require('../words_answers_5.json'));
+    engine.loadFrequencies(require('../words_frequency.json'));
+  }
+
+  return engine;
+}
+
+/**
+ * Restore a locale's engine from its snapshot, or build it from the dictionary
+ * @param {string} locale - Locale code
+ * @param {boolean} foldAccents - Index words with accents removed
+ * @returns {{engine: WordSearchEngine, source: string}} Engine and where it came from
+ */
+function loadSearchEngine(locale, foldAccents) {
+  // Snapshots hold the exact-spelling engines; folded ones are built on demand
+  if (!foldAccents) {
+    try {
+      return { engine: WordSearchEngine.fromSnapshot(fs.readFileSync(getSnapshotPath(locale))), source: 'snapshot' };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable snapshot for ${locale}: ${error.message}`);
+      }
+    }
+  }
+  return { engine: createSearchEngine(locale, foldAccents), source: 'dictionary' };
+}
+
+/**
+ * Get the shared search engine for a locale, loading its dictionary on first use
+ * @param {string} locale - Locale code (see lib/locales.js)
+ * @param {{foldAccents?: boolean}} options - foldAccents matches "e" against "é"
+ * @returns {Promise<WordSearchEngine>} Initialised engine
+ */
+async function getSearchEngine(locale = DEFAULT_LOCALE, { foldAccents = false } = {}) {
+  getLocale(locale);
+  const key = `${locale}:${foldAccents ? 'folded' : 'exact'}`;
+  if (searchEngines.has(key)) return searchEngines.get(key);
+  
+  try {
+    const startTime = Date.now();
+    const startMemory = process.memoryUsage();
+    const { engine: searchEngine, source } = loadSearchEngine(locale, foldAccents);
+    searchEngines.set(key, searchEngine);
+
+    // Heap plus typed-array buffers (snapshot indexes live outside the heap)
+    const memory = process.memoryUsage();
+    const memoryMB = (memory.heapUsed + memory.arrayBuffers - startMemory.heapUsed - startMemory.arrayBuffers) / 1024 / 1024;
+    const answers = searchEngine.getDictionaryNames().includes(ANSWER_DICTIONARY)
+      ? searchEngine.getDictionary(ANSWER_DICTIONARY).size
+      : 0;
+    console.log(
+      `Loaded ${searchEngine.words.size} ${locale} words into search engine (${answers} answers) ` +
+      `from ${source} in ${Date.now() - startTime}ms, ~${Math.max(memoryMB, 0).toFixed(1)} MB`
+    );
+    return searchEngine;
+  } catch (error) {
+    console.error('Error initializing search engine:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run a simple or advanced query against the engine
+ * @param {WordSearchEngine} engine - Search engine instance
+ * @param {string} query - Pattern, feedback or natural language query
+ * @param {boolean} advanced - Treat the query as a boolean query (lib/queryLanguage.js)
+ * @param {number} length - Word length to keep
+ * @returns {Array<string>} Matching words of that length
+ */
+function findCandidates(engine, query, advanced, length = 5) {
+  let results;
+  
+  if (advanced === true || advanced === 'true') {
+    // Parse the boolean query language and evaluate it over the indexes
+    results = engine.evaluateQuery(parseBooleanQuery(query));
+  } else {
+    // Use simple search
+    results = engine.search(query);
+  }
+
+  // The dictionary mixes lengths, so keep only the requested one
+  return results.filter(word => word.length === length);
+}
+
+/**
+ * Read the search mode of a request
+ * @param {string|undefined} value - Requested mode
+ * @returns {string} One of SEARCH_MODES, "search" when unset
+ */
+function readSearchMode(value) {
+  if (value === undefined || value === null || value === '') return SEARCH_MODES[0];
+  if (!SEARCH_MODES.includes(value)) {
+    throw new QueryError(`Unknown mode "${value}", expected one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+// Anagram searches cover every length unless one is asked for
+function readAnagramLength(value) {
+  return value === undefined || value === null || value === '' ? null : readWordLength(value);
+}
+
+/**
+ * Apply a structured JSON constraint spec (see lib/constraints.js)
+ * @param {WordSearchEngine} engine - Search engine instance
+ * @param {Object} spec - Raw spec from the request body
+ * @returns {{constraints: Object, results: Array<string>}} Normalised spec and matches
+ */
+function findCandidatesBySpec(engine, spec) {
+  const constraints = validateConstraintSpec(spec);
+  const results = engine.advancedSearch(specToConstraints(constraints));
+  return { constraints, results };
+}
+
+/**
+ * Read a feedback query as the constraint spec it stands for
+ *
+ * Feedback is answered through this spec, so "crane:GYBBB" and the same clues
+ * sent as JSON get the same results and share a cache entry.
+ *
+ * @param {string} query - Feedback such as "crane:GYBBB, moist:BBYGB"
+ * @param {number|string|undefined} length - Requested word length, if any
+ * @returns {Object} Validated spec (see lib/constraints.js)
+ */
+function readFeedbackSpec(query, length) {
+  const spec = feedbackToSpec(parseFeedback(query));
+  if (isLengthSet(length) && readWordLength(length) !== spec.length) {
+    throw new QueryError(`The guesses have ${spec.length} letters but length is ${length}`);
+  }
+  return validateConstraintSpec(spec);
+}
+
+function isLengthSet(length) {
+  return length !== undefined && length !== null && length !== '';
+}
+
+// Without a length param a plain query keeps its own: "____" is 4 letters, "6 letter, [E]" 6
+function readQueryLength(engine, params) {
+  const ownLength = !isLengthSet(params.length) && !isAdvanced(params) ? engine.parseQuery(params.query).length : null;
+  return readWordLength(ownLength ?? params.length);
+}
+
+// The advanced flag may arrive as a query-string value
+function isAdvanced(params) {
+  return params.advanced === true || params.advanced === 'true';
+}
+
+/**
+ * Resolve the candidates for a request, whichever format it uses
+ * @param {WordSearchEngine} engine - Search engine instance
+ * @param {Object} params - Request body or query parameters
+ * @param {string} defaultDictionary - Word list to search when params.dictionary is unset
+ * @returns {{query: string|null, constraints: Object|null, length: number|null, dictionary: string, results: Array<string>}|null}
+ *   Matches, or null if the request carries no query or constraints; length is null for an
+ *   anagram search over every length
+ */
+function resolveCandidates(engine, params, defaultDictionary = DEFAULT_DICTIONARY) {
+  const dictionary = params.dictionary || defaultDictionary;
+  const words = engine.getDictionary(dictionary);
+  let search = null;
+
+  if (params.query && readSearchMode(params.mode) === 'anagram') {
+    const length = readAnagramLength(params.length);
+    search = {
+      query: params.query,
+      constraints: null,
+      length,
+      results: engine.anagramSearch(params.query, { length })
+    };
+  } else if (params.query && !isAdvanced(params) && isFeedbackQuery(params.query)) {
+    const { constraints, results } = findCandidatesBySpec(engine, readFeedbackSpec(params.query, params.length));
+    search = { query: params.query, constraints, length: constraints.length, results };
+  } else if (params.query) {
+    search = {
+      query: params.query,
+      constraints: null,
+      length: readQueryLength(engine, params),
+    };
+    search.results = findCandidates(engine, params.query, params.advanced, search.length);
+  } else if (isConstraintSpec(params)) {
+    const { constraints, results } = findCandidatesBySpec(engine, params);
+    search = { query: null, constraints, length: constraints.length, results };
+  } else {
+    return null;
+  }
+
+  return { ...search, dictionary, results: search.results.filter(word => words.has(word)) };
+}
+
+/**
+ * Near matches for a search that found nothing (see lib/nearMatches.js)
+ *
+ * Pattern queries allow edits to the pattern; feedback queries and constraint
+ * specs allow broken clues. Boolean queries, anagrams and other text queries
+ * have no near matches.
+ *
+ * @param {WordSearchEngine} engine - Search engine instance
+ * @param {Object} params - Request body or query parameters
+ * @param {Object} search - Result of resolveCandidates
+ * @returns {Array<{word: string, distance: number, breaks: Array<string>}>} Near matches
+ */
+function resolveNearMatches(engine, params, search) {
+  const options = { distance: readNearDistance(params.nearDistance), words: engine.getDictionary(search.dictionary) };
+
+  if (search.constraints) {
+    return findNearConstraintMatches(engine, specToConstraints(search.constraints), options);
+  }
+  if (readSearchMode(params.mode) !== 'search' || isAdvanced(params)) {
+    return [];
+  }
+
+  const { pattern, requiredChars } = engine.parseQuery(search.query);
+  return pattern && requiredChars.length === 0
+    ? findNearPatternMatches(engine, pattern, { ...options, length: search.length })
+    : [];
+}
+
+// Sorted letters of a spec entry, so "ts" and "st" compare equal ("!" stays in front)
+function sortLetters(value) {
+  if (value === null) return null;
+  const negated = value.startsWith('!');
+  const letters = [...(negated ? value.slice(1) : value)].sort().join('');
+  return negated ? `!${letters}` : letters;
+}
+
+// Validated spec with every list in a fixed order
+function canonicalSpec(spec) {
+  return {
+    length: spec.length,
+    positions: spec.positions.map(sortLetters),
+    present: [...spec.present].sort(),
+    absent: [...spec.absent].sort(),
+    notAt: spec.notAt.map(letters => [...letters].sort()),
+    counts: Object.keys(spec.counts).sort().map(char => [char, spec.counts[char].min, spec.counts[char].max])
+  };
+}
+
+// AND and OR ignore operand order and nesting: "A AND (B AND C)" is "C AND B AND A"
+function canonicalAst(node) {
+  if (node.type === 'not') return { type: 'not', child: canonicalAst(node.child) };
+  if (node.type !== 'and' && node.type !== 'or') return node;
+
+  const children = node.children
+    .map(canonicalAst)
+    .flatMap(child => (child.type === node.type ? child.children : [child]))
+    .map(child => [JSON.stringify(child), child])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, child]) => child);
+  return { type: node.type, children };
+}
+
+/**
+ * Canonical description of the search a request asks for
+ *
+ * Two requests with the same key always get the same ranked results, so the
+ * key ignores letter case, field order and pagination.
+ *
+ * @param {Object} params - Normalised request body or query parameters
+ * @param {{locale: string, foldAccents: boolean}} options - Engine the search runs on
+ * @returns {string|null} Cache key, or null if the request carries no query or constraints
+ */
+function getSearchKey(params, { locale = DEFAULT_LOCALE, foldAccents = false } = {}) {
+  let search;
+
+  if (params.query && readSearchMode(params.mode) === 'anagram') {
+    // Bags are unordered: "tesr?" and "?rest" are the same search
+    search = { anagram: Array.from(params.query.toLowerCase()).sort().join(''), length: readAnagramLength(params.length) };
+  } else if (params.query && isAdvanced(params)) {
+    search = { ast: canonicalAst(parseBooleanQuery(params.query)), length: readWordLength(params.length) };
+  } else if (params.query && isFeedbackQuery(params.query)) {
+    // Keyed as its spec, so guess order and the JSON form don't matter
+    search = canonicalSpec(readFeedbackSpec(params.query, params.length));
+  } else if (params.query) {
+    // An unset length means the query's own, which the query text already pins down
+    search = { query: params.query.toLowerCase(), length: isLengthSet(params.length) ? readWordLength(params.length) : null };
+  } else if (isConstraintSpec(params)) {
+    search = canonicalSpec(validateConstraintSpec(params));
+  } else {
+    return null;
+  }
+
+  return JSON.stringify({
+    locale,
+    foldAccents,
+    dictionary: params.dictionary || DEFAULT_DICTIONARY,
+    sort: params.sort || 'alphabetical',
+    nearDistance: readNearDistance(params.nearDistance),
+    search
+  });
+}
+
+/**
+ * Every word of one length in a dictionary, sorted
+ * @param {WordSearchEngine} engine - Search engine instance
+ * @param {string} name - Dictionary name
+ * @param {number} length - Word length
+ * @returns {Array<string>} Words
+ */
+function getDictionaryWords(engine, name, length = 5) {
+  return Array.from(engine.getDictionary(name)).filter(word => word.length === length).sort();
+}
+
+module.exports = {
+  getSearchEngine,
+  createSearchEngine,
+  getSnapshotPath,
+  SNAPSHOT_DIR,
+  findCandidates,
+  findCandidatesBySpec,
+  resolveCandidates,
+  resolveNearMatches,
+  getDictionaryWords,
+  getSearchKey,
+  readSearchMode,
+  SEARCH_MODES,
+  DEFAULT_DICTIONARY,
+  ANSWER_DICTIONARY
+};
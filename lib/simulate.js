@@ -0,0 +1,187 @@
+/**
+ * Solver Simulator
+ *
+ * Plays every word of an answer list against a guessing strategy, scoring
+ * each guess with Wordle's tile rules and narrowing the candidates with
+ * WordSearchEngine.advancedSearch, then reports how many guesses each word
+ * took. A candidate list that loses the answer means the constraint logic
+ * is wrong, so those games are reported as errors rather than failures.
+ *
+ *   node lib/simulate.js --strategy entropy --opener crane --limit 200
+ */
+const { getSearchEngine, getDictionaryWords, ANSWER_DICTIONARY, DEFAULT_DICTIONARY } = require('./searchService');
+const { scoreGuess, feedbackToConstraints } = require('./feedback');
+const { recommendGuesses } = require('./recommend');
+const { rankWords } = require('./ranking');
+
+const MAX_GUESSES = 6; // more than this counts as a failure
+const GIVE_UP_AFTER = 20; // stop a game that is clearly not converging
+const WORST_WORDS = 10;
+const DEFAULT_OPENER = 'crane';
+
+/**
+ * Strategies pick the next guess from the remaining candidates (sorted)
+ * @type {Object<string, Function>} name -> (candidates, context) => guess
+ */
+const STRATEGIES = {
+  // Alphabetically first candidate
+  first: candidates => candidates[0],
+
+  // Most common candidate in the frequency corpus
+  frequency: (candidates, { engine }) => rankWords(candidates, 'frequency', engine).words[0],
+
+  // Most informative guess, from every valid word unless hardMode is set
+  entropy: (candidates, { guessPool, hardMode }) =>
+    recommendGuesses(candidates, guessPool, { limit: 1, hardMode })[0].word,
+
+  // The opener first, then the most common candidate
+  opener: (candidates, context) => STRATEGIES.frequency(candidates, context)
+};
+
+/**
+ * Play one game
+ * @param {string} answer - Hidden word
+ * @param {Object} context - Shared state from runSimulation
+ * @returns {{answer: string, guesses: Array<string>, solved: boolean, error: string|null}} Game record
+ */
+function simulateGame(answer, context) {
+  const { engine, strategy, opener, dictionary, decisions } = context;
+  const history = [];
+  const guesses = [];
+
+  while (guesses.length < GIVE_UP_AFTER) {
+    const key = history.map(({ guess, feedback }) => `${guess}:${feedback}`).join(',');
+
+    // Strategies are deterministic, so games that share a history share the next guess
+    let guess = decisions.get(key);
+    if (guess === undefined) {
+      const candidates = engine.advancedSearch([
+        ...(history.length > 0 ? feedbackToConstraints(history) : [{ type: 'length', value: answer.length }]),
+        { type: 'dictionary', value: dictionary }
+      ]);
+      if (!candidates.includes(answer)) {
+        return { answer, guesses, solved: false, error: `"${answer}" was ruled out after ${key || 'no guesses'}` };
+      }
+      guess = history.length === 0 && opener ? opener : STRATEGIES[strategy](candidates, context);
+      decisions.set(key, guess);
+    }
+
+    guesses.push(guess);
+    if (guess === answer) {
+      return { answer, guesses, solved: true, error: null };
+    }
+    history.push({ guess, feedback: scoreGuess(guess, answer) });
+  }
+
+  return { answer, guesses, solved: false, error: null };
+}
+
+/**
+ * Play every answer and summarise the results
+ * @param {Object} options - Simulation options
+ * @param {string} options.strategy - One of the STRATEGIES names
+ * @param {string} [options.opener] - Fixed first guess (the opener strategy defaults to crane)
+ * @param {boolean} [options.hardMode] - Entropy guesses only from the candidates
+ * @param {string} [options.dictionary] - Word list the answers come from
+ * @param {number} [options.limit] - Only play the first N answers
+ * @returns {Promise<Object>} Distribution, average, failures, worst words and errors
+ */
+async function runSimulation({ strategy = 'frequency', opener, hardMode = false, dictionary = ANSWER_DICTIONARY, limit } = {}) {
+  if (!STRATEGIES[strategy]) {
+    throw new Error(`Unknown strategy "${strategy}", expected one of: ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+
+  const engine = await getSearchEngine();
+  const answers = getDictionaryWords(engine, dictionary).slice(0, limit || undefined);
+  const context = {
+    engine,
+    strategy,
+    opener: opener ? opener.toLowerCase() : strategy === 'opener' ? DEFAULT_OPENER : null,
+    hardMode,
+    dictionary,
+    guessPool: getDictionaryWords(engine, DEFAULT_DICTIONARY),
+    decisions: new Map() // guess history -> next guess
+  };
+  if (context.opener && !engine.words.has(context.opener)) {
+    throw new Error(`Opener "${context.opener}" is not a valid word`);
+  }
+
+  const games = answers.map(answer => simulateGame(answer, context));
+  const finished = games.filter(game => !game.error);
+
+  const distribution = {};
+  for (let turns = 1; turns <= MAX_GUESSES; turns++) distribution[turns] = 0;
+  distribution[`${MAX_GUESSES + 1}+`] = 0;
+  for (const { guesses } of finished) {
+    distribution[guesses.length > MAX_GUESSES ? `${MAX_GUESSES + 1}+` : guesses.length]++;
+  }
+
+  const total = finished.reduce((sum, { guesses }) => sum + guesses.length, 0);
+
+  return {
+    strategy,
+    opener: context.opener,
+    hardMode,
+    games: games.length,
+    distribution,
+    average: finished.length > 0 ? Number((total / finished.length).toFixed(3)) : null,
+    failures: finished.filter(({ guesses }) => guesses.length > MAX_GUESSES).map(({ answer }) => answer),
+    worst: [...finished]
+      .sort((a, b) => b.guesses.length - a.guesses.length || a.answer.localeCompare(b.answer))
+      .slice(0, WORST_WORDS)
+      .map(({ answer, guesses }) => ({ answer, guesses: guesses.length, path: guesses.join(' ') })),
+    errors: games.filter(game => game.error).map(({ answer, error }) => ({ answer, error }))
+  };
+}
+
+// Read "--name value" and "--flag" arguments
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'hard') {
+      options.hardMode = true;
+    } else if (['strategy', 'opener', 'dictionary', 'limit'].includes(name) && i + 1 < argv.length) {
+      options[name] = name === 'limit' ? parseInt(argv[++i]) : argv[++i];
+    } else {
+      throw new Error(`Unknown argument "${argv[i]}"; use --strategy NAME, --opener WORD, --dictionary NAME, --limit N, --hard`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const start = Date.now();
+  const report = await runSimulation(options);
+
+  console.log(`\n🎲 Strategy: ${report.strategy}${report.opener ? `, opener "${report.opener}"` : ''}${report.hardMode ? ', hard mode' : ''}`);
+  console.log(`Played ${report.games} games in ${((Date.now() - start) / 1000).toFixed(1)}s\n`);
+
+  const widest = Math.max(...Object.values(report.distribution), 1);
+  for (const [turns, count] of Object.entries(report.distribution)) {
+    const bar = '█'.repeat(Math.round((count / widest) * 40));
+    console.log(`${turns.padStart(3)} | ${bar} ${count}`);
+  }
+
+  console.log(`\nAverage guesses: ${report.average}`);
+  console.log(`Failures (more than ${MAX_GUESSES} guesses): ${report.failures.length}`);
+  console.log('\nWorst words:');
+  console.table(report.worst);
+
+  if (report.errors.length > 0) {
+    console.log(`\n❌ ${report.errors.length} games lost the answer from the candidates:`);
+    report.errors.slice(0, WORST_WORDS).forEach(({ error }) => console.log(`  ${error}`));
+    process.exitCode = 1;
+  }
+}
+
+// Run the simulator if this file is executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { runSimulation, simulateGame, STRATEGIES, MAX_GUESSES };
@@ -0,0 +1,376 @@
+/**
+ * Engine Snapshots
+ *
+ * Serialises a loaded WordSearchEngine into one binary file and restores it
+ * without rebuilding any index. Everything but the word list is a range of a
+ * single Uint32Array that is used in place after loading:
+ *
+ *   words     sorted, UTF-8, newline separated; a word's id is its rank
+ *   tries     one row per node (letter, first child, next sibling, range of
+ *             words under it, word ending at it). With the keys sorted, the
+ *             words under a node are contiguous, so nodes need no word Sets
+ *   postings  sorted word ids per letter, per letter + position and per
+ *             letter + occurrence count (the InvertedIndex)
+ *   bitsets   the BitsetIndex of every word length
+ *
+ * File layout: "WSS1", header length (uint32 LE), JSON header, the word list
+ * and then the uint32 data, each section padded to a multiple of 4 bytes.
+ */
+const { BitsetIndex } = require('./bitsetIndex');
+const { parsePattern } = require('./pattern');
+
+const MAGIC = 'WSS1';
+const VERSION = 1;
+const NONE = 0xffffffff; // "no node" / "no word" in the trie tables
+const TRIE_FIELDS = ['chars', 'firstChild', 'nextSibling', 'start', 'end', 'endWord'];
+
+const align4 = offset => Math.ceil(offset / 4) * 4;
+
+/**
+ * Read-only trie over flat node tables, with the same lookups as Trie
+ */
+class PackedTrie {
+  /**
+   * @param {Object} tables - Uint32Arrays from packTrie(), plus order (key rank -> word id) or null
+   * @param {Array<string>} words - Sorted words, indexed by id
+   */
+  constructor(tables, words) {
+    Object.assign(this, tables);
+    this.words = words;
+    this.letters = Array.from(tables.chars, code => String.fromCodePoint(code));
+  }
+
+  insert() {
+    throw new Error('A snapshot engine is read-only; use loadWords() to build an editable one');
+  }
+
+  child(node, char) {
+    for (let child = this.firstChild[node]; child !== NONE; child = this.nextSibling[child]) {
+      if (this.letters[child] === char) return child;
+    }
+    return NONE;
+  }
+
+  wordAt(rank) {
+    return this.words[this.order ? this.order[rank] : rank];
+  }
+
+  search(prefix) {
+    let node = 0;
+    for (const char of prefix) {
+      node = this.child(node, char);
+      if (node === NONE) return [];
+    }
+
+    const words = [];
+    for (let rank = this.start[node]; rank < this.end[node]; rank++) {
+      words.push(this.wordAt(rank));
+    }
+    return words;
+  }
+
+  searchByPattern(pattern) {
+    const slots = parsePattern(pattern);
+    const results = [];
+
+    const walk = (node, index) => {
+      if (index === slots.length) {
+        if (this.endWord[node] !== NONE) results.push(this.words[this.endWord[node]]);
+        return;
+      }
+
+      const slot = slots[index];
+      for (let child = this.firstChild[node]; child !== NONE; child = this.nextSibling[child]) {
+        const char = this.letters[child];
+        if (slot.any || slot.chars.has(char) !== slot.negated) {
+          walk(child, index + 1);
+        }
+      }
+    };
+
+    walk(0, 0);
+    return results;
+  }
+
+  walk(step, visit, state) {
+    const descend = (node, nodeState) => {
+      if (this.endWord[node] !== NONE) visit(this.words[this.endWord[node]], nodeState);
+      for (let child = this.firstChild[node]; child !== NONE; child = this.nextSibling[child]) {
+        const next = step(nodeState, this.letters[child]);
+        if (next !== null) descend(child, next);
+      }
+    };
+
+    descend(0, state);
+  }
+}
+
+/**
+ * Read-only InvertedIndex over sorted word-id postings
+ */
+class PackedInvertedIndex {
+  /**
+   * @param {Map<string, {all: Uint32Array, positions: Array<Uint32Array>, counts: Map<number, Uint32Array>}>} postings -
+   *   Word ids per letter
+   * @param {Array<string>} words - Sorted words, indexed by id
+   */
+  constructor(postings, words) {
+    this.postings = postings;
+    this.words = words;
+  }
+
+  addWord() {
+    throw new Error('A snapshot engine is read-only; use loadWords() to build an editable one');
+  }
+
+  toWords(ids) {
+    return Array.from(ids || [], id => this.words[id]);
+  }
+
+  getWordsWithChar(char) {
+    const postings = this.postings.get(char);
+    return this.toWords(postings && postings.all);
+  }
+
+  countWordsWithChar(char) {
+    const postings = this.postings.get(char);
+    return postings ? postings.all.length : 0;
+  }
+
+  getWordsWithCharAtPosition(char, position) {
+    const postings = this.postings.get(char);
+    return this.toWords(postings && postings.positions[position]);
+  }
+
+  // Words containing char between min and max times (max null = unbounded, min >= 1)
+  getWordsWithCharCount(char, min = 1, max = null) {
+    const words = new Set();
+    const postings = this.postings.get(char);
+    if (postings) {
+      for (const [count, ids] of postings.counts) {
+        if (count >= min && (max === null || count <= max)) {
+          ids.forEach(id => words.add(this.words[id]));
+        }
+      }
+    }
+    return words;
+  }
+}
+
+/**
+ * Build trie tables from sorted keys
+ * @param {Array<Array<string>>} keys - Keys as letter arrays, in sorted order
+ * @param {Array<number>} ids - Word id of each key
+ * @returns {Object} Node tables; node 0 is the root
+ */
+function packTrie(keys, ids) {
+  const tables = { chars: [0], firstChild: [NONE], nextSibling: [NONE], start: [0], end: [keys.length], endWord: [NONE] };
+  const lastChild = [NONE];
+  const path = [0];
+  let previous = [];
+
+  keys.forEach((key, rank) => {
+    let common = 0;
+    while (common < previous.length && common < key.length && previous[common] === key[common]) common++;
+
+    // Nodes off the shared prefix hold no further keys
+    while (path.length > common + 1) tables.end[path.pop()] = rank;
+
+    for (let depth = common; depth < key.length; depth++) {
+      const parent = path[path.length - 1];
+      const node = tables.chars.length;
+      tables.chars.push(key[depth].codePointAt(0));
+      tables.firstChild.push(NONE);
+      tables.nextSibling.push(NONE);
+      tables.start.push(rank);
+      tables.end.push(keys.length);
+      tables.endWord.push(NONE);
+      lastChild.push(NONE);
+
+      if (lastChild[parent] === NONE) {
+        tables.firstChild[parent] = node;
+      } else {
+        tables.nextSibling[lastChild[parent]] = node;
+      }
+      lastChild[parent] = node;
+      path.push(node);
+    }
+
+    tables.endWord[path[path.length - 1]] = ids[rank];
+    previous = key;
+  });
+
+  return tables;
+}
+
+/**
+ * Serialise an engine
+ * @param {WordSearchEngine} engine - Loaded engine
+ * @returns {Buffer} Snapshot for readSnapshot() / WordSearchEngine.fromSnapshot()
+ */
+function writeSnapshot(engine) {
+  const words = Array.from(engine.words).sort();
+  const ids = new Map(words.map((word, id) => [word, id]));
+
+  const chunks = [];
+  let dataLength = 0;
+  const put = values => {
+    const ref = [dataLength, values.length];
+    chunks.push(Uint32Array.from(values));
+    dataLength += values.length;
+    return ref;
+  };
+  const putTables = tables => Object.fromEntries(
+    Object.entries(tables).map(([name, values]) => [name, values && put(values)])
+  );
+
+  // Prefix trie over the words, suffix trie over the words reversed
+  const letters = words.map(word => Array.from(word));
+  const reversed = words.map((word, id) => ({ id, key: Array.from(word).reverse() }));
+  const reversedKey = new Map(reversed.map(({ id, key }) => [id, key.join('')]));
+  reversed.sort((a, b) => (reversedKey.get(a.id) < reversedKey.get(b.id) ? -1 : 1));
+  const order = reversed.map(({ id }) => id);
+
+  const trie = putTables({ ...packTrie(letters, words.map((word, id) => id)), order: null });
+  const suffixTrie = putTables({ ...packTrie(reversed.map(({ key }) => key), order), order });
+
+  // Inverted index postings, ids ascending
+  const postings = new Map();
+  letters.forEach((chars, id) => {
+    const counts = new Map();
+    chars.forEach((char, position) => {
+      if (!postings.has(char)) postings.set(char, { all: [], positions: [], counts: new Map() });
+      const entry = postings.get(char);
+      (entry.positions[position] = entry.positions[position] || []).push(id);
+      counts.set(char, (counts.get(char) || 0) + 1);
+    });
+    for (const [char, count] of counts) {
+      const entry = postings.get(char);
+      entry.all.push(id);
+      if (!entry.counts.has(count)) entry.counts.set(count, []);
+      entry.counts.get(count).push(id);
+    }
+  });
+
+  const header = {
+    version: VERSION,
+    wordCount: words.length,
+    trie,
+    suffixTrie,
+    postings: Object.fromEntries(Array.from(postings, ([char, entry]) => [char, {
+      all: put(entry.all),
+      positions: Array.from(entry.positions, ids => put(ids || [])),
+      counts: Object.fromEntries(Array.from(entry.counts, ([count, ids]) => [count, put(ids)]))
+    }])),
+    bitsets: Object.fromEntries(Array.from(engine.wordLengthIndex.keys(), length => {
+      const index = engine.getBitsetIndex(length);
+      return [length, {
+        positions: Object.fromEntries(Array.from(index.positions, ([char, bitsets]) => [char, bitsets.map(put)])),
+        counts: Object.fromEntries(Array.from(index.counts, ([char, atLeast]) => [char, atLeast.slice(1).map(put)]))
+      }];
+    })),
+    dictionaries: Object.fromEntries(Array.from(engine.dictionaries, ([name, dictionary]) => [
+      name,
+      put(Array.from(dictionary, word => ids.get(word)).sort((a, b) => a - b))
+    ])),
+    frequencies: put(words.map(word => engine.getWordFrequency(word)))
+  };
+
+  const text = Buffer.from(words.join('\n'), 'utf8');
+  header.textLength = text.length;
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+
+  const textOffset = align4(8 + headerBytes.length);
+  const dataOffset = align4(textOffset + text.length);
+  const buffer = Buffer.alloc(dataOffset + dataLength * 4);
+  buffer.write(MAGIC, 0, 'latin1');
+  buffer.writeUInt32LE(headerBytes.length, 4);
+  headerBytes.copy(buffer, 8);
+  text.copy(buffer, textOffset);
+
+  const data = new Uint32Array(buffer.buffer, buffer.byteOffset + dataOffset, dataLength);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  return buffer;
+}
+
+/**
+ * Restore the indexes saved by writeSnapshot()
+ * @param {Buffer} buffer - Snapshot file contents
+ * @returns {Object} WordSearchEngine fields (words, trie, suffixTrie,
+ *   invertedIndex, wordLengthIndex, dictionaries, frequencies, bitsetIndexes)
+ */
+function readSnapshot(buffer) {
+  if (buffer.toString('latin1', 0, 4) !== MAGIC) {
+    throw new Error('Not a word search snapshot');
+  }
+  // Typed array views need 4-byte alignment
+  if (buffer.byteOffset % 4 !== 0) {
+    buffer = Buffer.from(buffer);
+  }
+
+  const headerLength = buffer.readUInt32LE(4);
+  const header = JSON.parse(buffer.toString('utf8', 8, 8 + headerLength));
+  if (header.version !== VERSION) {
+    throw new Error(`Snapshot version ${header.version} is not supported, rebuild it with npm run snapshot`);
+  }
+
+  const textOffset = align4(8 + headerLength);
+  const dataOffset = align4(textOffset + header.textLength);
+  const words = header.wordCount > 0
+    ? buffer.toString('utf8', textOffset, textOffset + header.textLength).split('\n')
+    : [];
+
+  const view = ([offset, length]) => new Uint32Array(buffer.buffer, buffer.byteOffset + dataOffset + offset * 4, length);
+  const viewTables = refs => Object.fromEntries(
+    [...TRIE_FIELDS, 'order'].map(name => [name, refs[name] ? view(refs[name]) : null])
+  );
+
+  const postings = new Map(Object.entries(header.postings).map(([char, entry]) => [char, {
+    all: view(entry.all),
+    positions: entry.positions.map(view),
+    counts: new Map(Object.entries(entry.counts).map(([count, ref]) => [parseInt(count), view(ref)]))
+  }]));
+
+  const wordLengthIndex = new Map();
+  for (const word of words) {
+    if (!wordLengthIndex.has(word.length)) wordLengthIndex.set(word.length, new Set());
+    wordLengthIndex.get(word.length).add(word);
+  }
+
+  const bitsetIndexes = new Map(Object.entries(header.bitsets).map(([length, bitsets]) => {
+    const wordLength = parseInt(length);
+    return [wordLength, BitsetIndex.restore({
+      length: wordLength,
+      words: words.filter(word => word.length === wordLength),
+      positions: new Map(Object.entries(bitsets.positions).map(([char, refs]) => [char, refs.map(view)])),
+      counts: new Map(Object.entries(bitsets.counts).map(([char, refs]) => [char, [null, ...refs.map(view)]]))
+    })];
+  }));
+
+  const counts = view(header.frequencies);
+  const frequencies = new Map();
+  words.forEach((word, id) => {
+    if (counts[id] > 0) frequencies.set(word, counts[id]);
+  });
+
+  return {
+    words: new Set(words),
+    trie: new PackedTrie(viewTables(header.trie), words),
+    suffixTrie: new PackedTrie(viewTables(header.suffixTrie), words),
+    invertedIndex: new PackedInvertedIndex(postings, words),
+    wordLengthIndex,
+    dictionaries: new Map(Object.entries(header.dictionaries).map(([name, ref]) => [
+      name,
+      new Set(Array.from(view(ref), id => words[id]))
+    ])),
+    frequencies,
+    bitsetIndexes
+  };
+}
+
+module.exports = { writeSnapshot, readSnapshot, PackedTrie, PackedInvertedIndex };
@@ -1,4 +1,16 @@
 const { WordSearchEngine } = require('./wordSearch');
+const { scoreGuess, parseFeedback, feedbackToSpec } = require('./feedback');
+const { recommendGuesses, recommendMultiBoardGuesses } = require('./recommend');
+const { validateConstraintSpec, specToConstraints } = require('./constraints');
+const { parseBooleanQuery } = require('./queryLanguage');
+const { rankWords, getLetterStats } = require('./ranking');
+const { normalizeText } = require('./locales');
+const { paginateResults, getCachedResults, cacheResults, getCacheStats } = require('./optimizations');
+const { getSearchKey, resolveCandidates } = require('./searchService');
+const { simulateGame } = require('./simulate');
+const { getDailyAnswer, checkHardMode, shareGrid } = require('./game');
+const { findLadders } = require('./ladder');
+const { findNearPatternMatches, findNearConstraintMatches } = require('./nearMatches');
 
 // Simple test function
 function testSearchEngine() {
@@ -25,7 +37,9 @@ function testSearchEngine() {
     "open": 1,
     "over": 1,
     "only": 1,
-    "once": 1
+    "once": 1,
+    "geese": 1,
+    "llama": 1
   };
 
   // Initialize the search engine
@@ -72,6 +86,230 @@ function testSearchEngine() {
   const suggestions = engine.getSuggestions('W___');
   console.log(`Suggestions: ${suggestions.join(', ')}\n`);
 
+  // Test 6: Wordle feedback
+  console.log('🟩 Test 6: Feedback Search "words:GBBBG"');
+  const feedbackResults = engine.search('words:GBBBG');
+  console.log(`Results: ${feedbackResults.join(', ')}`);
+  console.log(`Count: ${feedbackResults.length}\n`);
+
+  // Test 7: Position exclusion
+  console.log('🟨 Test 7: Advanced Search "5 Letter, contains O, 2nd letter is not O"');
+  const notAtResults = engine.advancedSearch([
+    { type: 'length', value: 5 },
+    { type: 'contains', value: 'o' },
+    { type: 'not_at_position', char: 'o', position: 1 }
+  ]);
+  console.log(`Results: ${notAtResults.join(', ')}`);
+  console.log(`Count: ${notAtResults.length}\n`);
+
+  // Test 8: Letter counts
+  console.log('🔢 Test 8: Count Search "[E][E]" and "exactly one L"');
+  const doubleResults = engine.search('[E][E]');
+  const singleLResults = engine.advancedSearch([
+    { type: 'letter_count', char: 'l', min: 1, max: 1 }
+  ]);
+  console.log(`Results: ${doubleResults.join(', ')} | ${singleLResults.join(', ')}`);
+  console.log(`Count: ${doubleResults.length} | ${singleLResults.length}\n`);
+
+  // Test 9: Feedback scoring and recommendations
+  console.log('🎯 Test 9: Score "geese" against "those", recommend among W____ words');
+  console.log(`Feedback: ${scoreGuess('geese', 'those')}`);
+  const candidates = engine.search('W____');
+  const recommendations = recommendGuesses(candidates, engine.search('_____'), { limit: 3 });
+  console.log(`Recommendations: ${recommendations.map(r => `${r.word} (${r.expectedRemaining})`).join(', ')}\n`);
+
+  // Test 10: Structured constraint spec
+  console.log('🧾 Test 10: Spec Search { positions: [w], present: [o], absent: [k] }');
+  const spec = validateConstraintSpec({ positions: ['w'], present: ['o'], absent: ['k'] });
+  const specResults = engine.advancedSearch(specToConstraints(spec));
+  console.log(`Results: ${specResults.join(', ')}`);
+  console.log(`Count: ${specResults.length}\n`);
+
+  // Test 11: Boolean query language
+  console.log('🧮 Test 11: Boolean Search "starts with W AND (contains O OR contains A) AND NOT contains R"');
+  const booleanResults = engine.evaluateQuery(
+    parseBooleanQuery('starts with W AND (contains O OR contains A) AND NOT contains R')
+  );
+  console.log(`Results: ${booleanResults.join(', ')}`);
+  console.log(`Count: ${booleanResults.length}`);
+  try {
+    parseBooleanQuery('starts with W AND (contains O');
+  } catch (error) {
+    console.log(`Parse error: ${error.message}`);
+  }
+  try {
+    parseBooleanQuery('(contains A contains B)');
+  } catch (error) {
+    console.log(`Parse error: ${error.message}\n`);
+  }
+
+  // Test 12: Character classes
+  console.log('🔤 Test 12: Pattern Search "[wo]?[^r]__"');
+  const classResults = engine.search('[wo]?[^r]__');
+  console.log(`Results: ${classResults.join(', ')}`);
+  console.log(`Count: ${classResults.length}\n`);
+
+  // Test 13: Named dictionaries
+  console.log('📚 Test 13: Dictionary Search "W____" in a separate "answers" list');
+  engine.addDictionary('answers', { "words": 1, "wants": 1 });
+  const answerResults = engine.advancedSearch([
+    { type: 'pattern', value: 'w____' },
+    { type: 'dictionary', value: 'answers' }
+  ]);
+  console.log(`Results: ${answerResults.join(', ')}`);
+  console.log(`Sources of "words": ${engine.getWordSources('words').join(', ')}\n`);
+
+  // Test 14: Ranking
+  console.log('🏅 Test 14: Rank "_____" results by frequency and coverage');
+  engine.loadFrequencies({ "about": 185206, "words": 18000, "after": 34812 });
+  const byFrequency = rankWords(engine.search('_____'), 'frequency', engine);
+  const byCoverage = rankWords(engine.search('_____'), 'coverage', engine);
+  console.log(`Frequency: ${byFrequency.words.slice(0, 3).join(', ')}`);
+  console.log(`Coverage: ${byCoverage.words.slice(0, 3).map(word => `${word} (${byCoverage.scores[word]})`).join(', ')}\n`);
+
+  // Test 15: Accented letters
+  console.log('🌍 Test 15: Spanish and German words with accents');
+  const localeEngine = new WordSearchEngine();
+  localeEngine.loadWords({ "niño": 1, "nido": 1, "größe": 1, "große": 1 });
+  console.log(`Pattern "ni[ñd]o": ${localeEngine.search('ni[ñd]o').join(', ')}`);
+  console.log(`Boolean "contains ß AND 3rd letter is ö": ${localeEngine.evaluateQuery(parseBooleanQuery('contains ß AND 3rd letter is ö')).join(', ')}`);
+  console.log(`Folded "größe" (de): ${normalizeText('größe', 'de', true)}, "niño" (es): ${normalizeText('niño', 'es', true)}`);
+  try {
+    normalizeText('word', 'constructor', true);
+  } catch (error) {
+    console.log(`Locale error: ${error.message}\n`);
+  }
+
+  // Test 16: Pagination
+  console.log('📄 Test 16: Page through "_____" three words at a time');
+  const allFive = engine.search('_____');
+  const firstPage = paginateResults(allFive, { limit: 3 });
+  const secondPage = paginateResults(allFive, { limit: 3, cursor: firstPage.nextCursor });
+  console.log(`Page 1: ${firstPage.results.join(', ')} (next: ${firstPage.nextCursor}, total: ${firstPage.total})`);
+  console.log(`Page 2: ${secondPage.results.join(', ')} (truncated: ${secondPage.truncated})\n`);
+
+  // Test 17: Query cache
+  console.log('🗄️ Test 17: Cache "W___S" and look it up as "w___s"');
+  cacheResults(getSearchKey({ query: 'W___S' }), { words: engine.search('W___S') });
+  const cachedEntry = getCachedResults(getSearchKey({ query: 'w___s' }));
+  const specKeysMatch = getSearchKey({ present: ['r', 'i'], positions: ['st'] }) === getSearchKey({ present: ['i', 'r'], positions: ['ts'] });
+  console.log(`Cached: ${cachedEntry.words.join(', ')}`);
+  const feedbackKeysMatch = getSearchKey({ query: 'crane:GYBBB, moist:BBYGB' }) === getSearchKey({ query: 'moist:BBYGB, crane:GYBBB' }) &&
+    getSearchKey({ query: 'crane:GYBBB' }) === getSearchKey(feedbackToSpec(parseFeedback('crane:GYBBB')));
+  const booleanKeysMatch = getSearchKey({ query: 'contains A AND contains B', advanced: true }) ===
+    getSearchKey({ query: 'contains B AND contains A', advanced: true });
+  console.log(`Reordered specs share a key: ${specKeysMatch}`);
+  console.log(`Reordered feedback and its spec share a key: ${feedbackKeysMatch}`);
+  console.log(`"A AND B" and "B AND A" share a key: ${booleanKeysMatch}`);
+  cacheResults('oversized', { words: Array.from({ length: 5001 }, (_, i) => `w${i}`) });
+  console.log(`A 5001-word result is cached: ${getCachedResults('oversized') !== null}`);
+  console.log(`Stats: ${JSON.stringify(getCacheStats())}\n`);
+
+  // Test 18: Bitset index
+  console.log('🧮 Test 18: "[^a]____" with O but no T, with and without the bitset index');
+  const bitsetConstraints = [{ type: 'length', value: 5 }, { type: 'pattern', value: '[^a]____' }, { type: 'contains', value: 'o' }, { type: 'excludes', value: 't' }];
+  const bitsetResults = engine.advancedSearch(bitsetConstraints);
+  engine.useBitsetIndex = false;
+  const setResults = engine.advancedSearch(bitsetConstraints);
+  engine.useBitsetIndex = true;
+  console.log(`Bitsets: ${bitsetResults.join(', ')}`);
+  console.log(`Sets: ${setResults.join(', ')}\n`);
+
+  // Test 19: Prefixes, suffixes and letter runs
+  console.log('🔗 Test 19: Advanced Search "starts with WO AND NOT ends with KS" and "contains OU"');
+  const prefixResults = engine.evaluateQuery(parseBooleanQuery('starts with WO AND NOT ends with KS'));
+  const runResults = engine.evaluateQuery(parseBooleanQuery('contains OU'));
+  console.log(`Prefix/suffix: ${prefixResults.join(', ')}`);
+  console.log(`Run "ou": ${runResults.join(', ')}\n`);
+
+  // Test 20: Snapshots
+  console.log('💾 Test 20: Restore the engine from a snapshot and search "W___S"');
+  const restored = WordSearchEngine.fromSnapshot(engine.toSnapshot());
+  console.log(`Results: ${restored.search('W___S').join(', ')}`);
+  console.log(`Ends with "ks": ${restored.evaluateQuery(parseBooleanQuery('ends with KS')).join(', ')}`);
+  console.log(`Sources of "words": ${restored.getWordSources('words').join(', ')}\n`);
+
+  // Test 21: Letter stats
+  console.log('🌡️  Test 21: Per-position letter counts for "W___S"');
+  const stats = getLetterStats(engine.search('W___S'), 5, 'abcdefghijklmnopqrstuvwxyz');
+  console.log(`Letters at slot 2: ${stats.letters.filter(char => stats.positions[1][char]).map(char => `${char}=${stats.positions[1][char]}`).join(', ')}`);
+  console.log(`Words containing "o": ${stats.overall.o}\n`);
+
+  // Test 22: Guess board rows as a constraint spec
+  console.log('🟨 Test 22: Board row "speed:YBGYB" as a spec (a green and a yellow e mean at least two)');
+  const boardSpec = feedbackToSpec(parseFeedback('speed:YBGYB'));
+  console.log(`Spec: ${JSON.stringify(boardSpec)}`);
+  console.log(`Results: ${engine.advancedSearch(specToConstraints(validateConstraintSpec(boardSpec))).join(', ')}\n`);
+
+  // Test 23: Simulated game
+  console.log('🎲 Test 23: Play "wants" with the first-candidate strategy');
+  const game = simulateGame('wants', { engine, strategy: 'first', opener: null, dictionary: 'default', decisions: new Map() });
+  console.log(`Guesses: ${game.guesses.join(', ')} (solved: ${game.solved}, error: ${game.error})\n`);
+
+  // Test 24: Game rules
+  console.log('🎮 Test 24: Daily answer, hard mode and share grid');
+  const answers = engine.search('_____');
+  console.log(`Answer for 2024-01-01: ${getDailyAnswer(answers, '2024-01-01')} (same again: ${getDailyAnswer(answers, '2024-01-01')})`);
+  console.log(`Hard mode after "works:GBBBG", guessing "wants": ${checkHardMode('wants', [{ guess: 'works', feedback: 'GBBBG' }])}`);
+  console.log(`Hard mode after "works:GBBBG", guessing "geese": ${checkHardMode('geese', [{ guess: 'works', feedback: 'GBBBG' }])}`);
+  console.log(shareGrid({ title: 'Word Search 2024-01-01', feedback: ['GBBBG', 'GGGGG'], solved: true }) + '\n');
+
+  // Test 25: Anagrams
+  console.log('🔀 Test 25: Words built from the letters "SKROW?"');
+  console.log(`Results: ${engine.anagramSearch('skrow?').join(', ')}`);
+  console.log(`Only 4 letters from "OVERH": ${engine.anagramSearch('overh', { length: 4 }).join(', ')}`);
+  const anagramEngine = new WordSearchEngine();
+  anagramEngine.loadWords({ "words": 1 });
+  anagramEngine.anagramSearch('sword');
+  anagramEngine.addDictionary('extra', { "sword": 1 });
+  console.log(`"SWORD" after adding "sword" to a searched engine: ${anagramEngine.anagramSearch('sword').join(', ')}\n`);
+
+  // Test 26: Multi-board recommendations
+  console.log('🔢 Test 26: Best guess for two boards, "words"/"works" and "wants"');
+  const boardGuesses = recommendMultiBoardGuesses([['words', 'works'], ['wants']], engine.search('_____'), { limit: 3 });
+  boardGuesses.forEach(({ word, entropy, expectedSolved }) => {
+    console.log(`${word}: ${entropy} bits, solves ${expectedSolved} boards on average`);
+  });
+  console.log();
+
+  // Test 27: Word ladders
+  console.log('🪜 Test 27: Word ladders, one letter at a time');
+  const ladder = findLadders(engine, 'works', 'words');
+  console.log(`works -> words: ${ladder.ladders[0].join(' -> ')} (${ladder.steps} step)`);
+  const noLadder = findLadders(engine, 'words', 'wants', { all: true });
+  console.log(`words -> wants: ${noLadder.ladders.length} ladders (steps: ${noLadder.steps})\n`);
+
+  // Test 28: A pattern that matches nothing
+  console.log('🚫 Test 28: Patterns that match no word stay empty');
+  console.log(`"qqqqq": ${engine.search('qqqqq').length} results`);
+  console.log(`"qqqq[A]": ${engine.search('qqqq[A]').length} results\n`);
+
+  // Test 29: Near matches
+  console.log('🤏 Test 29: Near matches for "wrods" and for clues nothing meets');
+  console.log(`Search results: ${engine.search('wrods').length}`);
+  findNearPatternMatches(engine, 'wrods').forEach(({ word, breaks }) => console.log(`${word}: ${breaks.join(', ')}`));
+  const nearSpec = validateConstraintSpec({ positions: ['g', 'e', null, null, 'e'], absent: ['s'] });
+  findNearConstraintMatches(engine, specToConstraints(nearSpec)).forEach(({ word, breaks }) => console.log(`${word}: ${breaks.join(', ')}`));
+  console.log();
+
+  // Test 30: A pattern's own length
+  console.log('📏 Test 30: "W___" with and without a length param');
+  const ownLength = resolveCandidates(engine, { query: 'W___', dictionary: 'default' });
+  const givenLength = resolveCandidates(engine, { query: 'W___', length: 5, dictionary: 'default' });
+  console.log(`No length: ${ownLength.results.join(', ')} (length ${ownLength.length})`);
+  console.log(`length 5: ${givenLength.results.length} results\n`);
+
+  // Test 31: Feedback Wordle can't show
+  console.log('⛔ Test 31: Conflicting greens and a grey E before a yellow E');
+  for (const query of ['crane:GBBBB slate:GBBBB', 'fever:BBGYB']) {
+    try {
+      engine.search(query);
+    } catch (error) {
+      console.log(`${query}: ${error.message}`);
+    }
+  }
+  console.log();
+
   console.log('✅ All tests completed!');
 }
 
@@ -1,3 +1,33 @@
+const { isFeedbackQuery, parseFeedback, feedbackToConstraints, matchesFeedback } = require('./feedback');
+const { QueryError } = require('./errors');
+const { BitsetIndex, and, andNot, or } = require('./bitsetIndex');
+const { PATTERN_SYNTAX, parsePattern } = require('./pattern');
+const { writeSnapshot, readSnapshot } = require('./snapshot');
+
+// Reverse a word by code point (keeps letters outside the BMP intact)
+function reverseWord(word) {
+  return Array.from(word).reverse().join('');
+}
+
+// A word's letters in sorted order; anagrams share a signature ("rest" -> "erst")
+function letterSignature(word) {
+  return Array.from(word).sort().join('');
+}
+
+// Whether a signature's letters can be taken from the bag, blanks covering any shortfall
+function fitsBag(signature, bag, blanks) {
+  const letters = Array.from(signature);
+  let missing = 0;
+  for (let i = 0; i < letters.length;) {
+    let run = 1;
+    while (letters[i + run] === letters[i]) run++;
+    missing += Math.max(0, run - (bag.get(letters[i]) || 0));
+    if (missing > blanks) return false;
+    i += run;
+  }
+  return true;
+}
+
 class TrieNode {
   constructor() {
     this.children = new Map();
@@ -36,30 +66,88 @@ class Trie {
 
   searchByPattern(pattern) {
     const results = new Set();
-    this._searchByPatternHelper(this.root, pattern, 0, '', results);
+    this._searchByPatternHelper(this.root, parsePattern(pattern), 0, '', results);
     return Array.from(results);
   }
 
-  _searchByPatternHelper(node, pattern, index, currentWord, results) {
-    if (index === pattern.length) {
+  _searchByPatternHelper(node, slots, index, currentWord, results) {
+    if (index === slots.length) {
       if (node.isEndOfWord) {
         results.add(currentWord);
       }
       return;
     }
 
-    const char = pattern[index];
-    if (char === '_') {
-      // Wildcard - try all children
+    const slot = slots[index];
+    if (slot.any || slot.negated) {
+      // Wildcard or negated class - try every child that isn't ruled out
       for (const [childChar, childNode] of node.children) {
-        this._searchByPatternHelper(childNode, pattern, index + 1, currentWord + childChar, results);
+        if (!slot.chars.has(childChar)) {
+          this._searchByPatternHelper(childNode, slots, index + 1, currentWord + childChar, results);
+        }
       }
     } else {
-      // Specific character
-      if (node.children.has(char)) {
-        this._searchByPatternHelper(node.children.get(char), pattern, index + 1, currentWord + char, results);
+      // Specific character(s) - only follow matching branches
+      for (const char of slot.chars) {
+        if (node.children.has(char)) {
+          this._searchByPatternHelper(node.children.get(char), slots, index + 1, currentWord + char, results);
+        }
+      }
+    }
+  }
+
+  // Depth-first walk that only descends where step(state, char) returns a
+  // new state (null prunes the branch); visit(word, state) runs at each word end
+  walk(step, visit, state) {
+    const descend = (node, nodeState, currentWord) => {
+      if (node.isEndOfWord) {
+        visit(currentWord, nodeState);
+      }
+      for (const [char, child] of node.children) {
+        const next = step(nodeState, char);
+        if (next !== null) {
+          descend(child, next, currentWord + char);
+        }
+      }
+    };
+    descend(this.root, state, '');
+  }
+}
+
+// Reversed words for ends-with lookups. Only the node a word's key ends at
+// holds the word; search() walks the subtree under the suffix to collect them,
+// so there is no per-node Set of every word below
+class SuffixTrie {
+  constructor() {
+    this.root = { children: new Map(), word: null };
+  }
+
+  insert(word) {
+    let node = this.root;
+    for (const char of reverseWord(word)) {
+      if (!node.children.has(char)) {
+        node.children.set(char, { children: new Map(), word: null });
       }
+      node = node.children.get(char);
     }
+    node.word = word;
+  }
+
+  // key is the reversed suffix, as for the packed suffix trie of a snapshot
+  search(key) {
+    let node = this.root;
+    for (const char of key) {
+      node = node.children.get(char);
+      if (!node) return [];
+    }
+
+    const words = [];
+    const collect = current => {
+      if (current.word !== null) words.push(current.word);
+      for (const child of current.children.values()) collect(child);
+    };
+    collect(node);
+    return words;
   }
 }
 
@@ -67,9 +155,11 @@ class InvertedIndex {
   constructor() {
     this.index = new Map(); // character -> Set of words containing that character
     this.positionIndex = new Map(); // character -> Map of word -> Set of positions
+    this.countIndex = new Map(); // character -> Map of occurrence count -> Set of words
   }
 
   addWord(word) {
+    const counts = new Map();
     for (let i = 0; i < word.length; i++) {
       const char = word[i];
       
@@ -87,6 +177,19 @@ class InvertedIndex {
         this.positionIndex.get(char).set(word, new Set());
       }
       this.positionIndex.get(char).get(word).add(i);
+
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    // Add to count index
+    for (const [char, count] of counts) {
+      if (!this.countIndex.has(char)) {
+        this.countIndex.set(char, new Map());
+      }
+      if (!this.countIndex.get(char).has(count)) {
+        this.countIndex.get(char).set(count, new Set());
+      }
+      this.countIndex.get(char).get(count).add(word);
     }
   }
 
@@ -94,6 +197,11 @@ class InvertedIndex {
     return Array.from(this.index.get(char) || []);
   }
 
+  countWordsWithChar(char) {
+    const words = this.index.get(char);
+    return words ? words.size : 0;
+  }
+
   getWordsWithCharAtPosition(char, position) {
     const words = [];
     const charWords = this.positionIndex.get(char);
@@ -106,32 +214,114 @@ class InvertedIndex {
     }
     return words;
   }
+
+  // Words containing char between min and max times (max null = unbounded, min >= 1)
+  getWordsWithCharCount(char, min = 1, max = null) {
+    const words = new Set();
+    const charCounts = this.countIndex.get(char);
+    if (charCounts) {
+      for (const [count, countWords] of charCounts) {
+        if (count >= min && (max === null || count <= max)) {
+          countWords.forEach(word => words.add(word));
+        }
+      }
+    }
+    return words;
+  }
 }
 
 class WordSearchEngine {
   constructor() {
     this.trie = new Trie();
+    this.suffixTrie = new SuffixTrie(); // reversed words, for ends-with lookups
     this.invertedIndex = new InvertedIndex();
     this.words = new Set();
     this.wordLengthIndex = new Map(); // length -> Set of words
+    this.dictionaries = new Map(); // dictionary name -> Set of words
+    this.frequencies = new Map(); // word -> corpus occurrence count
+    this.bitsetIndexes = new Map(); // word length -> BitsetIndex, built on first use
+    this.signatureIndex = null; // word length -> Map of letter signature -> words, built on first anagram search
+    this.useBitsetIndex = true; // answer fixed-length advanced searches from the bitsets
   }
 
-  loadWords(wordsData) {
+  // Restore an engine saved with toSnapshot(); the indexes are used as stored,
+  // nothing is rebuilt, and the engine is read-only afterwards
+  static fromSnapshot(buffer) {
+    const engine = new WordSearchEngine();
+    Object.assign(engine, readSnapshot(buffer));
+    return engine;
+  }
+
+  // Serialise the loaded words, dictionaries, frequencies and indexes (see lib/snapshot.js)
+  toSnapshot() {
+    return writeSnapshot(this);
+  }
+
+  loadWords(wordsData, name = 'default') {
     // Clear existing data
     this.trie = new Trie();
+    this.suffixTrie = new SuffixTrie();
     this.invertedIndex = new InvertedIndex();
     this.words = new Set();
     this.wordLengthIndex = new Map();
+    this.dictionaries = new Map();
+    this.bitsetIndexes = new Map();
+    this.signatureIndex = null;
+
+    this.addDictionary(name, wordsData);
+  }
 
-    // Process each word
+  // Load a named word list alongside the ones already loaded; words found in
+  // several lists are indexed once and tagged with each list
+  addDictionary(name, wordsData) {
+    const dictionary = new Set();
     for (const word of Object.keys(wordsData)) {
-      this.addWord(word);
+      if (!this.words.has(word)) {
+        this.addWord(word);
+      }
+      dictionary.add(word);
+    }
+    this.dictionaries.set(name, dictionary);
+    this.bitsetIndexes.clear();
+    this.signatureIndex = null;
+  }
+
+  getDictionary(name) {
+    const dictionary = this.dictionaries.get(name);
+    if (!dictionary) {
+      throw new QueryError(`Unknown dictionary "${name}", expected one of: ${this.getDictionaryNames().join(', ')}`);
     }
+    return dictionary;
+  }
+
+  getDictionaryNames() {
+    return Array.from(this.dictionaries.keys());
+  }
+
+  // Names of the dictionaries a word came from
+  getWordSources(word) {
+    const sources = [];
+    for (const [name, dictionary] of this.dictionaries) {
+      if (dictionary.has(word)) {
+        sources.push(name);
+      }
+    }
+    return sources;
+  }
+
+  // Load corpus counts ({ "word": count, ... }) used to rank common words first
+  loadFrequencies(frequencyData) {
+    this.frequencies = new Map(Object.entries(frequencyData));
+  }
+
+  getWordFrequency(word) {
+    return this.frequencies.get(word) || 0;
   }
 
   addWord(word) {
     this.words.add(word);
     this.trie.insert(word);
+    this.suffixTrie.insert(word);
     this.invertedIndex.addWord(word);
 
     // Add to length index
@@ -143,56 +333,38 @@ class WordSearchEngine {
   }
 
   search(query) {
-    const results = new Set();
-    
+    // Raw Wordle feedback ("crane:GYBBB, moist:BBYGB"): the constraints narrow the
+    // candidates and scoring each one against the guesses confirms it
+    if (isFeedbackQuery(query)) {
+      const guesses = parseFeedback(query);
+      return this.advancedSearch(feedbackToConstraints(guesses)).filter(word => matchesFeedback(word, guesses));
+    }
+
+    // null until part of the query narrows the words, so a pattern that
+    // matches nothing stays empty instead of falling back to the length
+    let results = null;
+
     // Parse the query
     const parsedQuery = this.parseQuery(query);
-    
+
     if (parsedQuery.pattern) {
       // Pattern-based search using Trie
-      const patternResults = this.trie.searchByPattern(parsedQuery.pattern);
-      for (const word of patternResults) {
-        results.add(word);
-      }
+      results = new Set(this.trie.searchByPattern(parsedQuery.pattern));
     }
 
     if (parsedQuery.requiredChars.length > 0) {
       // Character requirement search using Inverted Index
       const charResults = this.searchByRequiredChars(parsedQuery.requiredChars);
-      
-      if (results.size > 0) {
-        // Intersect with existing results
-        const intersection = new Set();
-        for (const word of results) {
-          if (charResults.has(word)) {
-            intersection.add(word);
-          }
-        }
-        results.clear();
-        intersection.forEach(word => results.add(word));
-      } else {
-        charResults.forEach(word => results.add(word));
-      }
+      results = results ? this.intersectSets(results, charResults) : charResults;
     }
 
     if (parsedQuery.length) {
       // Filter by length
       const lengthResults = this.wordLengthIndex.get(parsedQuery.length) || new Set();
-      if (results.size > 0) {
-        const intersection = new Set();
-        for (const word of results) {
-          if (lengthResults.has(word)) {
-            intersection.add(word);
-          }
-        }
-        results.clear();
-        intersection.forEach(word => results.add(word));
-      } else {
-        lengthResults.forEach(word => results.add(word));
-      }
+      results = results ? this.intersectSets(results, lengthResults) : lengthResults;
     }
 
-    return Array.from(results).sort();
+    return Array.from(results || []).sort();
   }
 
   parseQuery(query) {
@@ -202,15 +374,15 @@ class WordSearchEngine {
       length: null
     };
 
-    // Parse pattern like "W___S" or "W___"
-    const patternMatch = query.match(/^([A-Za-z_]+)$/);
-    if (patternMatch) {
-      result.pattern = patternMatch[1].toLowerCase();
-      result.length = result.pattern.length;
+    // Parse pattern like "W___S", "S?A??" or "[st]_[aeiou]_[^xyz]"; a query of
+    // single-letter markers like "[O][H]" is required characters instead
+    if (PATTERN_SYNTAX.test(query) && !/^(?:\[\p{L}\])+$/u.test(query)) {
+      result.pattern = query.toLowerCase();
+      result.length = parsePattern(result.pattern).length;
     }
 
     // Parse required characters like "[O]" or "[H]"
-    const charMatches = query.match(/\[([A-Za-z])\]/g);
+    const charMatches = query.match(/\[(\p{L})\]/gu);
     if (charMatches) {
       result.requiredChars = charMatches.map(match => match[1].toLowerCase());
     }
@@ -227,9 +399,15 @@ class WordSearchEngine {
   searchByRequiredChars(requiredChars) {
     if (requiredChars.length === 0) return new Set();
 
-    let commonWords = null;
+    // Repeated markers like "[E][E]" ask for at least that many copies
+    const requiredCounts = new Map();
     for (const char of requiredChars) {
-      const wordsWithChar = new Set(this.invertedIndex.getWordsWithChar(char));
+      requiredCounts.set(char, (requiredCounts.get(char) || 0) + 1);
+    }
+
+    let commonWords = null;
+    for (const [char, count] of requiredCounts) {
+      const wordsWithChar = this.invertedIndex.getWordsWithCharCount(char, count);
       if (commonWords === null) {
         commonWords = wordsWithChar;
       } else {
@@ -246,8 +424,78 @@ class WordSearchEngine {
     return commonWords || new Set();
   }
 
+  // Bitset index for one word length, built the first time it is needed
+  getBitsetIndex(length) {
+    if (!this.bitsetIndexes.has(length)) {
+      this.bitsetIndexes.set(length, new BitsetIndex(this.wordLengthIndex.get(length) || [], length));
+    }
+    return this.bitsetIndexes.get(length);
+  }
+
+  // Signature index over every word, built the first time it is needed
+  getSignatureIndex() {
+    if (!this.signatureIndex) {
+      this.signatureIndex = new Map();
+      for (const word of this.words) {
+        if (!this.signatureIndex.has(word.length)) {
+          this.signatureIndex.set(word.length, new Map());
+        }
+        const signatures = this.signatureIndex.get(word.length);
+        const signature = letterSignature(word);
+        if (!signatures.has(signature)) {
+          signatures.set(signature, []);
+        }
+        signatures.get(signature).push(word);
+      }
+    }
+    return this.signatureIndex;
+  }
+
+  /**
+   * Words that can be spelled from a bag of letters
+   *
+   * Each letter can be used as often as it appears in the bag, and each "?"
+   * stands for any one letter. Words may use fewer letters than the bag holds.
+   *
+   * @param {string} letters - The bag, e.g. "tesr?"
+   * @param {{length: number|null}} options - Only return words of this length
+   * @returns {Array<string>} Matching words, sorted
+   */
+  anagramSearch(letters, { length = null } = {}) {
+    const bag = new Map(); // letter -> copies in the bag
+    let blanks = 0;
+    let size = 0;
+    Array.from(letters.toLowerCase()).forEach((char, position) => {
+      if (char === '?') {
+        blanks++;
+      } else if (/\p{L}/u.test(char)) {
+        bag.set(char, (bag.get(char) || 0) + 1);
+      } else {
+        throw new QueryError(`Unexpected "${char}" at position ${position}; use letters, and ? for a blank`, position);
+      }
+      size += char.length;
+    });
+
+    const results = [];
+    for (const [wordLength, signatures] of this.getSignatureIndex()) {
+      if (wordLength > size || (length !== null && wordLength !== length)) continue;
+      for (const [signature, words] of signatures) {
+        if (fitsBag(signature, bag, blanks)) {
+          results.push(...words);
+        }
+      }
+    }
+    return results.sort();
+  }
+
   // Advanced search with position constraints
   advancedSearch(constraints) {
+    // Constraints that pin the word length can be answered from the bitsets
+    const length = this.useBitsetIndex ? this._constraintLength(constraints) : null;
+    if (length !== null) {
+      return this._bitsetSearch(length, constraints);
+    }
+
     let results = new Set(this.words);
 
     for (const constraint of constraints) {
@@ -266,16 +514,158 @@ class WordSearchEngine {
       } else if (constraint.type === 'contains') {
         const containsWords = this.invertedIndex.getWordsWithChar(constraint.value);
         results = this.intersectSets(results, containsWords);
+      } else if (constraint.type === 'contains_substring') {
+        results = this.intersectSets(results, this.searchBySubstring(constraint.value));
+      } else if (constraint.type === 'not_at_position') {
+        const posWords = this.invertedIndex.getWordsWithCharAtPosition(constraint.char, constraint.position);
+        results = this.differenceSets(results, new Set(posWords));
+      } else if (constraint.type === 'excludes') {
+        const excludedWords = this.invertedIndex.getWordsWithChar(constraint.value);
+        results = this.differenceSets(results, excludedWords);
+      } else if (constraint.type === 'dictionary') {
+        results = this.intersectSets(results, this.getDictionary(constraint.value));
+      } else if (constraint.type === 'pattern') {
+        const patternWords = this.trie.searchByPattern(constraint.value);
+        results = this.intersectSets(results, patternWords);
+      } else if (constraint.type === 'letter_count') {
+        const min = constraint.min || 0;
+        const max = constraint.max ?? null;
+        if (min > 0) {
+          const countWords = this.invertedIndex.getWordsWithCharCount(constraint.char, min, max);
+          results = this.intersectSets(results, countWords);
+        } else if (max !== null) {
+          // "At most N" also admits words without the letter at all
+          const tooManyWords = this.invertedIndex.getWordsWithCharCount(constraint.char, max + 1);
+          results = this.differenceSets(results, tooManyWords);
+        }
       }
     }
 
     return Array.from(results).sort();
   }
 
+  // Word length fixed by a length or pattern constraint, or null
+  _constraintLength(constraints) {
+    for (const constraint of constraints) {
+      if (constraint.type === 'length') return constraint.value;
+    }
+    for (const constraint of constraints) {
+      if (constraint.type === 'pattern') return parsePattern(constraint.value).length;
+    }
+    return null;
+  }
+
+  // advancedSearch over the bitset index for one word length
+  _bitsetSearch(length, constraints) {
+    const index = this.getBitsetIndex(length);
+    const bits = index.all();
+
+    const matchAt = (letters, offset) => {
+      for (let i = 0; i < letters.length; i++) {
+        and(bits, index.positionBits(letters[i], offset + i));
+      }
+    };
+
+    for (const constraint of constraints) {
+      if (constraint.type === 'length') {
+        if (constraint.value !== length) return [];
+      } else if (constraint.type === 'starts_with') {
+        if (constraint.value.length > length) return [];
+        matchAt(constraint.value, 0);
+      } else if (constraint.type === 'ends_with') {
+        if (constraint.value.length > length) return [];
+        matchAt(constraint.value, length - constraint.value.length);
+      } else if (constraint.type === 'contains_at_position') {
+        and(bits, index.positionBits(constraint.char, constraint.position));
+      } else if (constraint.type === 'contains') {
+        and(bits, index.countBits(constraint.value));
+      } else if (constraint.type === 'contains_substring') {
+        // Union of "the run starts at offset i" over every offset that fits
+        const runs = new Uint32Array(bits.length);
+        for (let offset = 0; offset + constraint.value.length <= length; offset++) {
+          const run = index.all();
+          for (let i = 0; i < constraint.value.length; i++) {
+            and(run, index.positionBits(constraint.value[i], offset + i));
+          }
+          or(runs, run);
+        }
+        and(bits, runs);
+      } else if (constraint.type === 'not_at_position') {
+        andNot(bits, index.positionBits(constraint.char, constraint.position));
+      } else if (constraint.type === 'excludes') {
+        andNot(bits, index.countBits(constraint.value));
+      } else if (constraint.type === 'dictionary') {
+        and(bits, index.dictionaryBits(constraint.value, this.getDictionary(constraint.value)));
+      } else if (constraint.type === 'pattern') {
+        const slots = parsePattern(constraint.value);
+        if (slots.length !== length) return [];
+        slots.forEach((slot, position) => {
+          if (slot.any) return;
+          if (slot.negated) {
+            slot.chars.forEach(char => andNot(bits, index.positionBits(char, position)));
+          } else {
+            const allowed = new Uint32Array(bits.length);
+            slot.chars.forEach(char => or(allowed, index.positionBits(char, position)));
+            and(bits, allowed);
+          }
+        });
+      } else if (constraint.type === 'letter_count') {
+        const min = constraint.min || 0;
+        const max = constraint.max ?? null;
+        if (min > 0) {
+          and(bits, index.countBits(constraint.char, min));
+        }
+        if (max !== null) {
+          andNot(bits, index.countBits(constraint.char, max + 1));
+        }
+      }
+    }
+
+    return index.toWords(bits);
+  }
+
+  // Evaluate a parsed boolean query (see lib/queryLanguage.js)
+  evaluateQuery(ast) {
+    return Array.from(this._evaluateNode(ast)).sort();
+  }
+
+  _evaluateNode(node) {
+    if (node.type === 'and') {
+      return node.children
+        .map(child => this._evaluateNode(child))
+        .reduce((results, childResults) => this.intersectSets(results, childResults));
+    }
+    if (node.type === 'or') {
+      const union = new Set();
+      for (const child of node.children) {
+        this._evaluateNode(child).forEach(word => union.add(word));
+      }
+      return union;
+    }
+    if (node.type === 'not') {
+      return this.differenceSets(this.words, this._evaluateNode(node.child));
+    }
+    return new Set(this.advancedSearch([node.constraint]));
+  }
+
   searchByEnding(suffix) {
+    return new Set(this.suffixTrie.search(reverseWord(suffix)));
+  }
+
+  // Words containing the letters as one run, e.g. "igh" in "night"
+  searchBySubstring(substring) {
+    // Only words with every letter can match; scan the smallest of those sets
+    let rarest = null;
+    for (const char of substring) {
+      if (rarest === null || this.invertedIndex.countWordsWithChar(char) < this.invertedIndex.countWordsWithChar(rarest)) {
+        rarest = char;
+      }
+    }
+    const candidates = rarest === null ? this.words : this.invertedIndex.getWordsWithChar(rarest);
+
     const results = new Set();
-    for (const word of this.words) {
-      if (word.endsWith(suffix)) {
+    for (const word of candidates) {
+      if (word.includes(substring)) {
         results.add(word);
       }
     }
@@ -296,13 +686,26 @@ class WordSearchEngine {
     return intersection;
   }
 
+  differenceSets(set1, set2) {
+    const set1Set = set1 instanceof Set ? set1 : new Set(set1);
+    const set2Set = set2 instanceof Set ? set2 : new Set(set2);
+
+    const difference = new Set();
+    for (const item of set1Set) {
+      if (!set2Set.has(item)) {
+        difference.add(item);
+      }
+    }
+    return difference;
+  }
+
   // Get search suggestions
   getSuggestions(partialQuery) {
     const suggestions = [];
     
     // Pattern suggestions
-    if (partialQuery.includes('_')) {
-      const pattern = partialQuery.replace(/[^A-Za-z_]/g, '');
+    if (partialQuery.includes('_') || partialQuery.includes('?')) {
+      const pattern = PATTERN_SYNTAX.test(partialQuery) ? partialQuery : partialQuery.replace(/[^\p{L}_?]/gu, '');
       if (pattern.length > 0) {
         const results = this.trie.searchByPattern(pattern);
         suggestions.push(...results.slice(0, 5));
@@ -321,4 +724,4 @@ class WordSearchEngine {
   }
 }
 
-module.exports = { WordSearchEngine, Trie, InvertedIndex };
+module.exports = { WordSearchEngine, Trie, InvertedIndex, parsePattern };
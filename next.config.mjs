@@ -1,6 +1,10 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  // Engine snapshots are read from disk at runtime, so ship them with the API routes
+  outputFileTracingIncludes: {
+    '/api/*': ['./snapshots/*.bin'],
+  },
 };
 
 export default nextConfig;
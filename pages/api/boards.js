@@ -0,0 +1,106 @@
+import {
+  getSearchEngine,
+  resolveCandidates,
+  getDictionaryWords,
+  DEFAULT_DICTIONARY,
+  ANSWER_DICTIONARY
+} from '../../lib/searchService';
+import { readWordLength } from '../../lib/constraints';
+import { isFeedbackQuery, parseFeedback } from '../../lib/feedback';
+import { recommendMultiBoardGuesses } from '../../lib/recommend';
+import { MAX_RESULTS } from '../../lib/optimizations';
+import { DEFAULT_LOCALE, readFoldAccents, normalizeRequest } from '../../lib/locales';
+import { QueryError } from '../../lib/errors';
+
+const BOARD_COUNTS = [2, 4, 8]; // Dordle, Quordle, Octordle
+const MAX_LIMIT = 50;
+
+// A board is solved once one of its guesses came back all green: the client
+// says so with "solved", or a feedback query shows the row. Clues that leave
+// one word don't count, since that word still has to be played.
+function isSolved(board) {
+  if (board.solved === true || board.solved === 'true') return true;
+  return board.advanced !== true && board.advanced !== 'true' && isFeedbackQuery(board.query) &&
+    parseFeedback(board.query).some(({ feedback }) => /^G+$/.test(feedback));
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const rawParams = req.body || {};
+    const locale = rawParams.locale || DEFAULT_LOCALE;
+    const foldAccents = readFoldAccents(rawParams.foldAccents);
+    const searchEngine = await getSearchEngine(locale, { foldAccents });
+
+    if (!Array.isArray(rawParams.boards) || !BOARD_COUNTS.includes(rawParams.boards.length)) {
+      throw new QueryError(`boards must be a list of ${BOARD_COUNTS.slice(0, -1).join(', ')} or ${BOARD_COUNTS[BOARD_COUNTS.length - 1]} clue sets`);
+    }
+
+    const params = normalizeRequest(rawParams, locale, foldAccents);
+    const length = readWordLength(params.length);
+
+    // Same defaults as /api/recommend: answers as candidates, any valid word as a guess
+    const answerWords = searchEngine.getDictionaryNames().includes(ANSWER_DICTIONARY)
+      ? getDictionaryWords(searchEngine, ANSWER_DICTIONARY, length)
+      : [];
+    const candidateDictionary = params.dictionary || (answerWords.length > 0 ? ANSWER_DICTIONARY : DEFAULT_DICTIONARY);
+    const dictionary = getDictionaryWords(searchEngine, DEFAULT_DICTIONARY, length);
+
+    // Each board takes the same clue formats as /api/search; a board without clues has every word
+    const boards = rawParams.boards.map((board, index) => {
+      if (!board || typeof board !== 'object' || Array.isArray(board)) {
+        throw new QueryError(`boards[${index}] must be an object of clues`);
+      }
+      const boardParams = normalizeRequest({ length, ...board }, locale, foldAccents);
+      const search = resolveCandidates(searchEngine, boardParams, candidateDictionary);
+      const candidates = search ? search.results : getDictionaryWords(searchEngine, candidateDictionary, length);
+      if (search && search.length !== length) {
+        throw new QueryError(`boards[${index}] has ${search.length}-letter clues but length is ${length}`);
+      }
+
+      return { search, candidates, solved: isSolved(boardParams) };
+    });
+
+    const requestedLimit = parseInt(params.limit) || 10;
+    const recommendations = recommendMultiBoardGuesses(
+      boards.filter(board => !board.solved).map(board => board.candidates),
+      dictionary,
+      {
+        limit: Math.min(Math.max(requestedLimit, 1), MAX_LIMIT),
+        hardMode: params.hardMode === true || params.hardMode === 'true'
+      }
+    );
+
+    res.status(200).json({
+      locale,
+      foldAccents,
+      length,
+      dictionary: candidateDictionary,
+      boards: boards.map(({ search, candidates, solved }) => ({
+        query: search ? search.query : null,
+        constraints: search ? search.constraints : null,
+        solved,
+        candidateCount: candidates.length,
+        candidates: candidates.slice(0, MAX_RESULTS),
+        truncated: candidates.length > MAX_RESULTS
+      })),
+      unsolved: boards.filter(board => !board.solved).length,
+      recommendations,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+
+    console.error('Boards error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+}
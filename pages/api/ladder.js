@@ -0,0 +1,57 @@
+import { getSearchEngine, DEFAULT_DICTIONARY } from '../../lib/searchService';
+import { findLadders, MAX_LADDERS } from '../../lib/ladder';
+import { DEFAULT_LOCALE, readFoldAccents, normalizeText } from '../../lib/locales';
+import { QueryError } from '../../lib/errors';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const params = (req.method === 'GET' ? req.query : req.body) || {};
+    const locale = params.locale || DEFAULT_LOCALE;
+    const foldAccents = readFoldAccents(params.foldAccents);
+    const searchEngine = await getSearchEngine(locale, { foldAccents });
+
+    for (const field of ['from', 'to']) {
+      if (typeof params[field] !== 'string' || params[field].trim() === '') {
+        throw new QueryError(`${field} must be a word`);
+      }
+    }
+    const from = normalizeText(params.from.trim(), locale, foldAccents).toLowerCase();
+    const to = normalizeText(params.to.trim(), locale, foldAccents).toLowerCase();
+    const dictionary = params.dictionary || DEFAULT_DICTIONARY;
+    const all = params.all === true || params.all === 'true';
+
+    const { ladders, steps, truncated } = findLadders(searchEngine, from, to, {
+      words: searchEngine.getDictionary(dictionary),
+      all
+    });
+
+    res.status(200).json({
+      from,
+      to,
+      locale,
+      foldAccents,
+      dictionary,
+      all,
+      steps,
+      ladders,
+      truncated,
+      maxLadders: MAX_LADDERS,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+
+    console.error('Ladder error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
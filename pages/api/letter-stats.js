@@ -0,0 +1,66 @@
+import {
+  getSearchEngine,
+  resolveCandidates,
+  readSearchMode,
+  getDictionaryWords,
+  DEFAULT_DICTIONARY
+} from '../../lib/searchService';
+import { readWordLength } from '../../lib/constraints';
+import { getLetterStats } from '../../lib/ranking';
+import { DEFAULT_LOCALE, getLocale, readFoldAccents, normalizeRequest, normalizeText } from '../../lib/locales';
+import { QueryError } from '../../lib/errors';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const rawParams = (req.method === 'GET' ? req.query : req.body) || {};
+    const locale = rawParams.locale || DEFAULT_LOCALE;
+    const foldAccents = readFoldAccents(rawParams.foldAccents);
+    const searchEngine = await getSearchEngine(locale, { foldAccents });
+
+    const params = normalizeRequest(rawParams, locale, foldAccents);
+
+    // Per-position counts need one word length; anagram results mix them
+    if (readSearchMode(params.mode) === 'anagram') {
+      throw new QueryError('/api/letter-stats does not support mode "anagram"');
+    }
+
+    // No clues yet means every word of the length is a candidate
+    const search = resolveCandidates(searchEngine, params);
+    const length = search ? search.length : readWordLength(params.length);
+    const dictionary = search ? search.dictionary : params.dictionary || DEFAULT_DICTIONARY;
+    const candidates = search ? search.results : getDictionaryWords(searchEngine, dictionary, length);
+
+    // Report the whole alphabet so the heatmap keeps its shape; folding merges é into e
+    const alphabet = [...new Set(Array.from(getLocale(locale).alphabet, char => normalizeText(char, locale, foldAccents)))];
+    const { letters, positions, overall } = getLetterStats(candidates, length, alphabet);
+
+    res.status(200).json({
+      query: search ? search.query : null,
+      constraints: search ? search.constraints : null,
+      locale,
+      foldAccents,
+      length,
+      dictionary,
+      candidateCount: candidates.length,
+      letters,
+      positions,
+      overall,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+
+    console.error('Letter stats error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+}
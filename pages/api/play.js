@@ -0,0 +1,87 @@
+import { getSearchEngine, getDictionaryWords, ANSWER_DICTIONARY } from '../../lib/searchService';
+import { getDailyAnswer, getPracticeAnswer, playGuess, readDate, MAX_GUESSES } from '../../lib/game';
+import { signGame, verifyGame } from '../../lib/gameToken';
+import { QueryError } from '../../lib/errors';
+
+const MODES = ['daily', 'practice'];
+
+// Guesses may arrive as a comma-separated query-string value
+function readWords(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const words = Array.isArray(value) ? value : String(value).split(',');
+  return words.map(word => String(word).trim().toLowerCase());
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const params = (req.method === 'GET' ? req.query : req.body) || {};
+    const mode = params.mode || 'daily';
+    if (!MODES.includes(mode)) {
+      throw new QueryError(`mode must be one of: ${MODES.join(', ')}`);
+    }
+
+    // Starting a practice game only hands out its id
+    if (mode === 'practice' && !params.game) {
+      if (params.guess) {
+        throw new QueryError('Start a practice game before guessing');
+      }
+      return res.status(200).json({
+        mode,
+        game: Math.random().toString(36).slice(2, 10),
+        maxGuesses: MAX_GUESSES,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const searchEngine = await getSearchEngine();
+    const answers = getDictionaryWords(searchEngine, ANSWER_DICTIONARY);
+    const answer = mode === 'daily'
+      ? getDailyAnswer(answers, params.date)
+      : getPracticeAnswer(answers, params.game);
+    const game = mode === 'daily' ? { date: readDate(params.date) } : { game: params.game };
+
+    if (!params.guess) {
+      throw new QueryError('guess is required');
+    }
+
+    // Only guesses this server scored count, or made-up ones could end the game early
+    const guess = String(params.guess).trim().toLowerCase();
+    const previous = readWords(params.previous);
+    verifyGame({ mode, ...game }, previous, params.token);
+
+    const { feedback, solved, finished } = playGuess(searchEngine, {
+      answer,
+      guess,
+      previous,
+      hardMode: params.hardMode === true || params.hardMode === 'true'
+    });
+
+    res.status(200).json({
+      mode,
+      ...game,
+      guess,
+      feedback,
+      solved,
+      finished,
+      // Only revealed once there is nothing left to guess
+      answer: finished ? answer : null,
+      token: signGame({ mode, ...game }, [...previous, guess]),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+
+    console.error('Play error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+}
@@ -0,0 +1,87 @@
+import {
+  getSearchEngine,
+  resolveCandidates,
+  readSearchMode,
+  getDictionaryWords,
+  DEFAULT_DICTIONARY,
+  ANSWER_DICTIONARY
+} from '../../lib/searchService';
+import { readWordLength } from '../../lib/constraints';
+import { recommendGuesses } from '../../lib/recommend';
+import { DEFAULT_LOCALE, readFoldAccents, normalizeRequest } from '../../lib/locales';
+import { QueryError } from '../../lib/errors';
+
+const MAX_LIMIT = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const rawParams = (req.method === 'GET' ? req.query : req.body) || {};
+    const locale = rawParams.locale || DEFAULT_LOCALE;
+    const foldAccents = readFoldAccents(rawParams.foldAccents);
+    const searchEngine = await getSearchEngine(locale, { foldAccents });
+
+    const params = normalizeRequest(rawParams, locale, foldAccents);
+
+    // Anagram candidates mix word lengths, and a guess only scores against its own length
+    if (readSearchMode(params.mode) === 'anagram') {
+      throw new QueryError('/api/recommend does not support mode "anagram"');
+    }
+
+    const { limit, hardMode } = params;
+
+    // The clues set the word length (a 6-letter feedback query needs no length param)
+    const search = resolveCandidates(searchEngine, params);
+    const length = search ? search.length : readWordLength(params.length);
+    if (search && params.length !== undefined && params.length !== null && params.length !== '' &&
+        readWordLength(params.length) !== length) {
+      throw new QueryError(`The clues are for ${length}-letter words but length is ${params.length}`);
+    }
+
+    // Candidates come from the answer list by default, guesses from every valid word.
+    // The answer list only has 5-letter English words, so anything else uses every valid word.
+    const answerWords = searchEngine.getDictionaryNames().includes(ANSWER_DICTIONARY)
+      ? getDictionaryWords(searchEngine, ANSWER_DICTIONARY, length)
+      : [];
+    const candidateDictionary = params.dictionary || (answerWords.length > 0 ? ANSWER_DICTIONARY : DEFAULT_DICTIONARY);
+    const dictionary = getDictionaryWords(searchEngine, DEFAULT_DICTIONARY, length);
+
+    // No clues yet means every word is still a candidate (opening guess)
+    const candidateWords = searchEngine.getDictionary(candidateDictionary);
+    const candidates = search
+      ? search.results.filter(word => candidateWords.has(word))
+      : getDictionaryWords(searchEngine, candidateDictionary, length);
+
+    const requestedLimit = parseInt(limit) || 10;
+    const recommendations = recommendGuesses(candidates, dictionary, {
+      limit: Math.min(Math.max(requestedLimit, 1), MAX_LIMIT),
+      hardMode: hardMode === true || hardMode === 'true'
+    });
+
+    res.status(200).json({
+      query: search ? search.query : null,
+      locale,
+      foldAccents,
+      constraints: search ? search.constraints : null,
+      length,
+      dictionary: candidateDictionary,
+      candidateCount: candidates.length,
+      recommendations,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+
+    console.error('Recommend error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+}
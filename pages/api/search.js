@@ -1,27 +1,8 @@
-import { WordSearchEngine } from '../../lib/wordSearch';
-
-// Global instance to avoid reloading words on every request
-let searchEngine = null;
-let isInitialized = false;
-
-async function initializeSearchEngine() {
-  if (isInitialized) return;
-  
-  try {
-    // Load the words dictionary
-    const wordsData = require('../../words_dictionary_5.json');
-    
-    // Initialize the search engine
-    searchEngine = new WordSearchEngine();
-    searchEngine.loadWords(wordsData);
-    
-    isInitialized = true;
-    console.log(`Loaded ${Object.keys(wordsData).length} words into search engine`);
-  } catch (error) {
-    console.error('Error initializing search engine:', error);
-    throw error;
-  }
-}
+import { getSearchEngine, resolveCandidates, resolveNearMatches, getSearchKey, readSearchMode } from '../../lib/searchService';
+import { rankWords } from '../../lib/ranking';
+import { paginateResults, getCachedResults, cacheResults } from '../../lib/optimizations';
+import { DEFAULT_LOCALE, readFoldAccents, normalizeRequest } from '../../lib/locales';
+import { QueryError } from '../../lib/errors';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET' && req.method !== 'POST') {
@@ -29,41 +10,85 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Initialize search engine if not already done
-    await initializeSearchEngine();
+    const rawParams = (req.method === 'GET' ? req.query : req.body) || {};
+    const locale = rawParams.locale || DEFAULT_LOCALE;
+    const foldAccents = readFoldAccents(rawParams.foldAccents);
+
+    // Initialize the locale's search engine if not already done
+    const searchEngine = await getSearchEngine(locale, { foldAccents });
 
-    const { query, advanced } = req.method === 'GET' ? req.query : req.body;
+    const params = normalizeRequest(rawParams, locale, foldAccents);
+    const sort = params.sort || 'alphabetical';
+    const mode = readSearchMode(params.mode);
 
-    if (!query) {
-      return res.status(400).json({ error: 'Query parameter is required' });
+    // Same clues in any spelling share one cache entry; pages are cut from it
+    const cacheKey = getSearchKey(params, { locale, foldAccents });
+    if (!cacheKey) {
+      return res.status(400).json({ error: 'Query parameter or constraints are required' });
     }
 
-    let results;
-    
-    if (advanced) {
-      // Parse advanced search constraints
-      const constraints = parseAdvancedQuery(query);
-      results = searchEngine.advancedSearch(constraints);
-    } else {
-      // Use simple search
-      results = searchEngine.search(query);
+    let search = getCachedResults(cacheKey);
+    const cached = search !== null;
+
+    if (!cached) {
+      const candidates = resolveCandidates(searchEngine, params);
+      const ranked = rankWords(candidates.results, sort, searchEngine);
+
+      search = {
+        constraints: candidates.constraints,
+        length: candidates.length,
+        dictionary: candidates.dictionary,
+        words: ranked.words,
+        scores: ranked.scores,
+        // Get suggestions for text queries (also filtered to the requested length); a bag of letters has none
+        suggestions: candidates.query && mode === 'search'
+          ? searchEngine.getSuggestions(candidates.query).filter(word => word.length === candidates.length)
+          : [],
+        // Words that almost match, only when nothing does
+        nearMatches: candidates.results.length === 0 ? resolveNearMatches(searchEngine, params, candidates) : []
+      };
+      cacheResults(cacheKey, search);
     }
 
-    // For 5-letter word searches, ensure all results are exactly 5 letters
-    results = results.filter(word => word.length === 5);
+    const { constraints, length, dictionary, suggestions, nearMatches } = search;
 
-    // Get suggestions for the query (also filtered to 5 letters)
-    const suggestions = searchEngine.getSuggestions(query).filter(word => word.length === 5);
+    // Only send one page; the client follows nextCursor for the rest
+    const { results, total, nextCursor, truncated } = paginateResults(search.words, params);
+    const scores = search.scores && Object.fromEntries(results.map(word => [word, search.scores[word]]));
 
     res.status(200).json({
-      query,
+      query: params.query || null,
+      mode,
+      locale,
+      foldAccents,
+      constraints,
+      length,
+      dictionary,
+      sort,
       results,
+      scores,
+      // Which lists each word appears in, e.g. { "crane": ["all", "answers"] }
+      sources: Object.fromEntries(results.map(word => [word, searchEngine.getWordSources(word)])),
       count: results.length,
+      total,
+      nextCursor,
+      truncated,
       suggestions,
+      nearMatches,
+      performance: {
+        cached,
+        resultCount: total,
+        suggestionCount: suggestions.length,
+        nearMatchCount: nearMatches.length
+      },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+
     console.error('Search error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -71,55 +96,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-function parseAdvancedQuery(query) {
-  const constraints = [];
-  
-  // Parse length constraint (e.g., "5 Letter", "4 letter")
-  const lengthMatch = query.match(/(\d+)\s*[Ll]etter/);
-  if (lengthMatch) {
-    constraints.push({
-      type: 'length',
-      value: parseInt(lengthMatch[1])
-    });
-  }
-
-  // Parse starts with constraint (e.g., "Starts with W", "starts with w")
-  const startsWithMatch = query.match(/[Ss]tarts?\s+with\s+([A-Za-z])/);
-  if (startsWithMatch) {
-    constraints.push({
-      type: 'starts_with',
-      value: startsWithMatch[1].toLowerCase()
-    });
-  }
-
-  // Parse ends with constraint (e.g., "Ends with S", "ends with s")
-  const endsWithMatch = query.match(/[Ee]nds?\s+with\s+([A-Za-z])/);
-  if (endsWithMatch) {
-    constraints.push({
-      type: 'ends_with',
-      value: endsWithMatch[1].toLowerCase()
-    });
-  }
-
-  // Parse contains constraint (e.g., "contains O", "Contains H")
-  const containsMatch = query.match(/[Cc]ontains?\s+([A-Za-z])/);
-  if (containsMatch) {
-    constraints.push({
-      type: 'contains',
-      value: containsMatch[1].toLowerCase()
-    });
-  }
-
-  // Parse position-specific contains (e.g., "3rd letter is W", "2nd letter is H")
-  const positionMatch = query.match(/(\d+)(?:st|nd|rd|th)\s+letter\s+is\s+([A-Za-z])/);
-  if (positionMatch) {
-    constraints.push({
-      type: 'contains_at_position',
-      char: positionMatch[2].toLowerCase(),
-      position: parseInt(positionMatch[1]) - 1 // Convert to 0-based index
-    });
-  }
-
-  return constraints;
-}
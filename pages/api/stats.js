@@ -0,0 +1,12 @@
+import { getCacheStats } from '../../lib/optimizations';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.status(200).json({
+    cache: getCacheStats(),
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,304 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { TILE_CLASSES } from '../components/GuessBoard';
+import { toUpper } from '../components/letters';
+import { feedbackToSpec } from '../lib/feedback';
+
+const WORD_LENGTH = 5;
+const RECOMMENDATIONS = 5;
+
+// Board counts /api/boards accepts, with the games that use them
+const GAMES = [
+  { boards: 2, name: 'Dordle' },
+  { boards: 4, name: 'Quordle' },
+  { boards: 8, name: 'Octordle' }
+];
+
+const NEXT_TILE = { B: 'Y', Y: 'G', G: 'B' };
+const SOLVED = 'G'.repeat(WORD_LENGTH);
+
+// One list of tile rows per board, all grey
+function emptyTiles(boardCount, rowCount) {
+  return Array.from({ length: boardCount }, () => Array(rowCount).fill('B'.repeat(WORD_LENGTH)));
+}
+
+export default function Boards() {
+  const [boardCount, setBoardCount] = useState(4);
+  const [guesses, setGuesses] = useState([]); // Words played, shared by every board
+  const [tiles, setTiles] = useState(emptyTiles(4, 0)); // tiles[board][row]: feedback such as "GYBBB"
+  const [draft, setDraft] = useState('');
+  const [hardMode, setHardMode] = useState(false);
+  const [boards, setBoards] = useState([]); // Per-board results from /api/boards
+  const [recommendations, setRecommendations] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const lastRequest = useRef(null); // Body of the latest board search
+
+  // A board stops taking clues at its all-green row
+  const solvedAt = board => tiles[board].indexOf(SOLVED);
+
+  const fetchBoards = useCallback(async () => {
+    let boardClues;
+    try {
+      boardClues = tiles.map(rows => {
+        const solved = rows.indexOf(SOLVED);
+        const played = guesses
+          .map((guess, row) => ({ guess, feedback: rows[row] }))
+          .slice(0, solved === -1 ? undefined : solved + 1);
+        // The server can't tell a solved board from clues that leave one word
+        return played.length > 0 ? { ...feedbackToSpec(played), solved: solved !== -1 } : { length: WORD_LENGTH };
+      });
+    } catch (error) {
+      // Rows that contradict each other, like two greens for one slot
+      lastRequest.current = null;
+      setIsLoading(false);
+      setError(error.message);
+      setBoards([]);
+      setRecommendations([]);
+      return;
+    }
+
+    const request = {
+      length: WORD_LENGTH,
+      hardMode,
+      limit: RECOMMENDATIONS,
+      boards: boardClues
+    };
+    lastRequest.current = request;
+
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/boards', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(request),
+      });
+      const data = await response.json();
+
+      // Drop the response if a newer search started while it was loading
+      if (lastRequest.current !== request) return;
+
+      if (data.error) {
+        setError(data.error);
+        setBoards([]);
+        setRecommendations([]);
+        return;
+      }
+
+      setError(null);
+      setBoards(data.boards);
+      setRecommendations(data.recommendations);
+
+    } catch (error) {
+      console.error('Board search failed:', error);
+    } finally {
+      if (lastRequest.current === request) setIsLoading(false);
+    }
+  }, [guesses, tiles, hardMode]);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      fetchBoards();
+    }, 300); // Debounce for 300ms
+
+    return () => clearTimeout(timeoutId);
+  }, [fetchBoards]);
+
+  const addGuess = () => {
+    const word = draft.toLowerCase();
+    if ([...word].length !== WORD_LENGTH) {
+      setError(`Guesses need ${WORD_LENGTH} letters`);
+      return;
+    }
+    setGuesses([...guesses, word]);
+    setTiles(tiles.map(rows => [...rows, 'B'.repeat(WORD_LENGTH)]));
+    setDraft('');
+  };
+
+  const removeGuess = (row) => {
+    setGuesses(guesses.filter((_, i) => i !== row));
+    setTiles(tiles.map(rows => rows.filter((_, i) => i !== row)));
+  };
+
+  const cycleTile = (board, row, index) => {
+    setTiles(tiles.map((rows, b) => b !== board ? rows : rows.map((feedback, r) => {
+      if (r !== row) return feedback;
+      const next = [...feedback];
+      next[index] = NEXT_TILE[next[index]];
+      return next.join('');
+    })));
+  };
+
+  const handleBoardCountChange = (count) => {
+    setBoardCount(count);
+    setTiles(emptyTiles(count, guesses.length));
+  };
+
+  const clearAll = () => {
+    setGuesses([]);
+    setTiles(emptyTiles(boardCount, 0));
+    setDraft('');
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <Head>
+        <title>Word Search - Multi-Board Solver</title>
+        <meta name="description" content="Solve Dordle, Quordle and Octordle boards together" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <main className="container mx-auto px-4 py-4 sm:py-8 relative z-10">
+        <div className="text-center mb-6 sm:mb-8">
+          <div className="inline-block p-2 bg-gradient-to-r from-blue-500 to-purple-600 rounded-2xl mb-4 shadow-lg">
+            <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-white mb-0 px-4 py-2">
+              Word Search
+            </h1>
+          </div>
+          <p className="text-base sm:text-lg text-gray-700 px-2 font-medium">
+            Solve several boards with the same guesses · <Link href="/" className="text-blue-600 hover:underline">Back to search</Link>
+          </p>
+        </div>
+
+        {/* Game, guesses and recommendations */}
+        <div className="bg-white/80 backdrop-blur-sm p-4 sm:p-6 rounded-2xl shadow-xl border border-white/20 mb-4 sm:mb-6">
+          <div className="flex flex-col lg:flex-row gap-4 lg:items-end">
+            <div className="lg:w-48">
+              <h3 className="text-base sm:text-lg font-semibold text-gray-700 mb-2">Game</h3>
+              <select
+                value={boardCount}
+                onChange={(e) => handleBoardCountChange(parseInt(e.target.value))}
+                className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base text-gray-900 shadow-md bg-white"
+              >
+                {GAMES.map(({ boards: count, name }) => (
+                  <option key={count} value={count}>{name} ({count} boards)</option>
+                ))}
+              </select>
+            </div>
+            <form
+              onSubmit={(e) => { e.preventDefault(); addGuess(); }}
+              className="flex-1 flex flex-col sm:flex-row gap-3"
+            >
+              <input
+                type="text"
+                value={draft}
+                onChange={(e) => setDraft(toUpper(e.target.value.replace(/\P{L}/gu, '')))}
+                maxLength={WORD_LENGTH}
+                placeholder="Type the guess you played"
+                className="w-full sm:flex-1 px-4 py-3 border-2 border-blue-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base sm:text-lg uppercase tracking-widest text-gray-900 shadow-md bg-white"
+              />
+              <button
+                type="submit"
+                className="px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-xl font-semibold shadow-md hover:shadow-lg transition-all duration-200"
+              >
+                Add Guess
+              </button>
+              <button
+                type="button"
+                onClick={clearAll}
+                className="px-6 py-3 bg-gradient-to-r from-gray-500 to-gray-600 text-white rounded-xl font-semibold shadow-md hover:shadow-lg transition-all duration-200"
+              >
+                Clear All
+              </button>
+            </form>
+          </div>
+
+          {guesses.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mt-4 text-xs sm:text-sm">
+              <span className="font-semibold text-gray-700">Guesses:</span>
+              {guesses.map((guess, row) => (
+                <span key={row} className="flex items-center gap-1 px-2 py-1 bg-gray-100 border border-gray-200 rounded-lg font-bold text-gray-800">
+                  {toUpper(guess)}
+                  <button
+                    type="button"
+                    onClick={() => removeGuess(row)}
+                    title="Remove this guess from every board"
+                    className="text-gray-500 hover:text-red-700"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+              <span className="text-gray-500">Click the tiles on each board to match its colours</span>
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3 mt-4">
+            <label className="flex items-center gap-2 text-xs sm:text-sm text-gray-600">
+              <input type="checkbox" checked={hardMode} onChange={(e) => setHardMode(e.target.checked)} />
+              Only suggest possible answers
+            </label>
+            <div className="flex flex-wrap items-center gap-2 text-xs sm:text-sm">
+              <span className="font-semibold text-gray-700">Try:</span>
+              {recommendations.map(({ word, entropy, candidateBoards }) => (
+                <button
+                  key={word}
+                  type="button"
+                  onClick={() => setDraft(toUpper(word))}
+                  title={`${entropy} bits over the open boards; could solve ${candidateBoards}`}
+                  className="px-3 py-1 bg-gradient-to-br from-green-100 to-emerald-100 text-green-800 border border-green-200 rounded-lg font-bold shadow-sm hover:shadow-md"
+                >
+                  {toUpper(word)} <span className="font-normal opacity-70">{entropy}</span>
+                </button>
+              ))}
+              {isLoading && <span className="text-blue-600">Searching...</span>}
+            </div>
+          </div>
+          {error && <p className="text-xs sm:text-sm text-red-600 mt-3">{error}</p>}
+        </div>
+
+        {/* Boards side by side */}
+        <div className={`grid gap-3 sm:gap-4 ${boardCount === 2 ? 'grid-cols-1 sm:grid-cols-2' : 'grid-cols-2 lg:grid-cols-4'}`}>
+          {tiles.map((rows, board) => {
+            const result = boards[board];
+            const solved = solvedAt(board);
+            return (
+              <div key={board} className="bg-white/80 backdrop-blur-sm p-3 sm:p-4 rounded-2xl shadow-xl border border-white/20">
+                <div className="flex justify-between items-center mb-3">
+                  <h2 className="text-base sm:text-lg font-bold text-gray-800">Board {board + 1}</h2>
+                  <span className={`text-xs sm:text-sm font-semibold ${solved !== -1 ? 'text-green-700' : 'text-gray-600'}`}>
+                    {solved !== -1 ? 'Solved' : result ? `${result.candidateCount} left` : ''}
+                  </span>
+                </div>
+
+                <div className="flex flex-col gap-1 items-center mb-3">
+                  {guesses.map((guess, row) => {
+                    // Rows after the solving guess no longer matter for this board
+                    const inactive = solved !== -1 && row > solved;
+                    return (
+                      <div key={row} className={`flex gap-1 ${inactive ? 'opacity-30' : ''}`}>
+                        {[...guess].map((letter, index) => (
+                          <button
+                            key={index}
+                            type="button"
+                            disabled={inactive}
+                            onClick={() => cycleTile(board, row, index)}
+                            className={`w-7 h-7 sm:w-9 sm:h-9 border-2 rounded-md text-sm sm:text-base font-bold ${TILE_CLASSES[rows[row][index]]}`}
+                          >
+                            {toUpper(letter)}
+                          </button>
+                        ))}
+                      </div>
+                    );
+                  })}
+                </div>
+
+                {result && solved === -1 && (
+                  <div className="max-h-40 overflow-y-auto text-xs sm:text-sm font-mono text-gray-700 bg-gray-50 rounded-lg p-2 leading-relaxed">
+                    {result.candidates.map(toUpper).join(' ')}
+                    {result.truncated && ' …'}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,135 +1,216 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Head from 'next/head';
+import Link from 'next/link';
+import GuessBoard from '../components/GuessBoard';
+import Keyboard from '../components/Keyboard';
+import LetterHeatmap from '../components/LetterHeatmap';
+import { toUpper, getLetterStates } from '../components/letters';
+import { feedbackToSpec } from '../lib/feedback';
+
+const WORD_LENGTHS = [4, 5, 6, 7];
+
+// Tabs of the search panel: Wordle-style clues, or a bag of letters to unscramble
+const SEARCH_MODES = [
+  { mode: 'clues', label: 'Wordle Clues' },
+  { mode: 'anagram', label: 'Anagram' }
+];
+const PAGE_SIZE = 120; // Results fetched per request; more load on scroll
+
+// Dictionaries from lib/locales.js; only English has other lengths and the answer list.
+// extraKeys are the letters beyond a-z, distinctLetters the ones accent folding keeps
+const LANGUAGES = [
+  { code: 'en', name: 'English', extraKeys: '', distinctLetters: '' },
+  { code: 'es', name: 'Español', extraKeys: 'ñáéíóúü', distinctLetters: 'ñ' },
+  { code: 'fr', name: 'Français', extraKeys: 'àâæçéèêëîïôœùûüÿ', distinctLetters: 'æœ' },
+  { code: 'de', name: 'Deutsch', extraKeys: 'äöüß', distinctLetters: 'ß' }
+];
+
+// Tapping a key cycles what you have marked: unknown -> excluded -> present -> unknown
+const NEXT_MARK = { excluded: 'present', present: undefined };
+
+// One empty input per letter slot
+function emptySlots(length) {
+  return Array(length).fill('');
+}
+
+// Parse entries like "E>=2, L=1, S<=1" into letter count rules
+function parseLetterCounts(text) {
+  const rules = [];
+  for (const entry of toUpper(text).split(/[,\s]+/)) {
+    const match = entry.match(/^(\p{L})(>=|<=|=)?(\d)$/u);
+    if (match) {
+      rules.push({ letter: match[1], op: match[2] || '=', count: parseInt(match[3]) });
+    }
+  }
+  return rules;
+}
+
+// Unique lowercase letters from free-form input such as "E, A, T"
+function toLetters(text) {
+  return [...new Set(text.toLowerCase().replace(/\P{L}/gu, '').split(''))];
+}
+
+// Pattern slot for a position box: "S" -> s, "ST" -> [st], "!XY" -> [^xy]
+function toPatternSlot(value) {
+  if (!/^!?\p{L}+$/u.test(value)) return '_';
+  if (value.startsWith('!')) return `[^${value.slice(1)}]`;
+  return value.length === 1 ? value : `[${value}]`;
+}
+
+// Add the clues the guess board proves to the ones typed into the fields; typed positions win
+function mergeSpecs(board, typed) {
+  return {
+    length: typed.length,
+    positions: typed.positions.map((value, i) => value || board.positions[i]),
+    present: [...new Set([...board.present, ...typed.present])],
+    absent: [...new Set([...board.absent, ...typed.absent])],
+    notAt: typed.notAt.map((chars, i) => [...new Set([...board.notAt[i], ...chars])]),
+    counts: { ...board.counts, ...typed.counts }
+  };
+}
 
 export default function Home() {
-  const [knownLetters, setKnownLetters] = useState(['', '', '', '', '']); // Position-specific letters
-  const [knownLettersWithoutPos, setKnownLettersWithoutPos] = useState(''); // Letters that exist but position unknown
-  const [excludedLetters, setExcludedLetters] = useState(''); // Letters that don&apos;t exist
+  const [searchMode, setSearchMode] = useState('clues'); // Which tab of the search panel is open
+  const [anagramLetters, setAnagramLetters] = useState(''); // Bag of letters to unscramble, "?" for blanks
+  const [anagramLength, setAnagramLength] = useState(''); // Length of anagram results, '' for any
+  const [wordLength, setWordLength] = useState(5); // Number of letters in the word
+  const [guesses, setGuesses] = useState([]); // Board rows: { guess, feedback } with G/Y/B tiles
+  const [knownLetters, setKnownLetters] = useState(emptySlots(5)); // Position-specific letters
+  const [letterMarks, setLetterMarks] = useState({}); // letter -> 'present' or 'excluded', set from the keyboard
+  const [misplacedLetters, setMisplacedLetters] = useState(emptySlots(5)); // Letters in the word but not at this position
+  const [letterCounts, setLetterCounts] = useState(''); // How many times letters appear, e.g. "E>=2, L=1"
   const [results, setResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [resultCount, setResultCount] = useState(0);
+  const [searchError, setSearchError] = useState(null);
+  const [dictionary, setDictionary] = useState('answers'); // Word list to search: likely answers or all valid guesses
+  const [sources, setSources] = useState({}); // word -> word lists it appears in
+  const [sort, setSort] = useState('alphabetical'); // Result order: alphabetical, frequency, positional or coverage
+  const [scores, setScores] = useState(null); // word -> score for the chosen sort
+  const [locale, setLocale] = useState('en'); // Dictionary language
+  const [foldAccents, setFoldAccents] = useState(false); // Match "e" against "é", "è", ...
+  const [nextCursor, setNextCursor] = useState(null); // Cursor for the next page, null when everything is shown
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [letterStats, setLetterStats] = useState(null); // Per-position letter counts over all candidates
+  const [nearMatches, setNearMatches] = useState([]); // Words that break one clue, shown when nothing matches
+  const lastRequest = useRef(null); // Body of the current search, reused for later pages
+  const loadMoreRef = useRef(null); // Sentinel below the grid that triggers the next page
 
-  const handleSearch = useCallback(async () => {
-    // Build the search query
-    let pattern = '';
-    let requiredChars = [];
-    
-    // Build pattern from known letters (use _ for unknown positions)
-    pattern = knownLetters.map(letter => letter || '_').join('');
-    
-    // Add known letters without positions to required characters
-    if (knownLettersWithoutPos) {
-      requiredChars = [...new Set(knownLettersWithoutPos.toUpperCase().split(''))];
+  // Rows that contradict each other, like two greens for one slot, can't be searched
+  const board = useMemo(() => {
+    if (guesses.length === 0) return { spec: null, error: null };
+    try {
+      return { spec: feedbackToSpec(guesses), error: null };
+    } catch (error) {
+      return { spec: null, error: error.message };
     }
+  }, [guesses]);
+
+  // Build the constraint spec for /api/search
+  const constraints = useMemo(() => {
+    const notAt = misplacedLetters.map(toLetters);
+    const counts = {};
+    for (const { letter, op, count } of parseLetterCounts(letterCounts)) {
+      counts[letter.toLowerCase()] = op === '>=' ? { min: count } : op === '<=' ? { max: count } : count;
+    }
+    const marked = state => Object.keys(letterMarks).filter(char => letterMarks[char] === state);
+    const typed = {
+      length: wordLength,
+      positions: knownLetters.map(letter => /^!?\p{L}+$/u.test(letter) ? letter.toLowerCase() : null),
+      // Misplaced letters are in the word too, just not at their slot
+      present: [...new Set([...marked('present'), ...notAt.flat()])],
+      absent: marked('excluded'),
+      notAt,
+      counts
+    };
+    return board.spec ? mergeSpecs(board.spec, typed) : typed;
+  }, [board, knownLetters, letterMarks, misplacedLetters, letterCounts, wordLength]);
+
+  const handleSearch = useCallback(async () => {
+    const isAnagram = searchMode === 'anagram';
 
     // If no search criteria, clear results and return
-    if (!knownLetters.some(l => l) && !knownLettersWithoutPos && !excludedLetters) {
+    if (isAnagram ? !anagramLetters : !constraints.positions.some(Boolean) && constraints.present.length === 0 &&
+        constraints.absent.length === 0 && Object.keys(constraints.counts).length === 0) {
+      lastRequest.current = null;
+      setIsLoading(false);
+      setResults([]);
+      setResultCount(0);
+      setNextCursor(null);
+      setLetterStats(null);
+      setNearMatches([]);
+      setSearchError(null);
+      return;
+    }
+    if (!isAnagram && board.error) {
+      lastRequest.current = null;
+      setIsLoading(false);
       setResults([]);
       setResultCount(0);
+      setNextCursor(null);
+      setLetterStats(null);
+      setNearMatches([]);
+      setSearchError(board.error);
       return;
     }
 
-    // If we have a pattern with known letters, search by pattern first
-    if (pattern.includes('_') || knownLetters.some(l => l)) {
-      setIsLoading(true);
-      try {
-        // First, search by pattern only
-        const patternResponse = await fetch('/api/search', {
+    const request = {
+      ...(isAnagram
+        ? { mode: 'anagram', query: anagramLetters.toLowerCase(), ...(anagramLength && { length: anagramLength }) }
+        : constraints),
+      // The answer list only covers 5-letter English words
+      dictionary: !isAnagram && wordLength === 5 && locale === 'en' ? dictionary : 'all',
+      sort,
+      locale,
+      foldAccents,
+      limit: PAGE_SIZE
+    };
+    lastRequest.current = request;
+
+    setIsLoading(true);
+    try {
+      // The heatmap counts every candidate, not just the first page; anagrams mix lengths and have none
+      const [response, statsResponse] = await Promise.all((isAnagram ? ['/api/search'] : ['/api/search', '/api/letter-stats']).map(url =>
+        fetch(url, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify({
-            query: pattern,
-            advanced: false
-          }),
-        });
-
-        const patternData = await patternResponse.json();
-        
-        if (patternData.error) {
-          console.error('Pattern search error:', patternData.error);
-          return;
-        }
-
-        let filteredResults = patternData.results;
-
-        // Apply contains constraint filter
-        if (requiredChars.length > 0) {
-          filteredResults = filteredResults.filter(word => {
-            const wordUpper = word.toUpperCase();
-            return requiredChars.every(char => wordUpper.includes(char));
-          });
-        }
-
-        // Apply excluded letters filter
-        if (excludedLetters) {
-          const excluded = excludedLetters.toUpperCase().split('');
-          filteredResults = filteredResults.filter(word => 
-            !excluded.some(letter => word.toUpperCase().includes(letter))
-          );
-        }
-
-        setResults(filteredResults);
-        setResultCount(filteredResults.length);
-
-      } catch (error) {
-        console.error('Search failed:', error);
-      } finally {
-        setIsLoading(false);
-      }
-    } else {
-      // If no pattern specified, search by contains constraint only
-      if (requiredChars.length > 0) {
-        setIsLoading(true);
-        try {
-          const containsResponse = await fetch('/api/search', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              query: '_____', // All 5-letter words
-              advanced: false
-            }),
-          });
-
-          const containsData = await containsResponse.json();
-          
-          if (containsData.error) {
-            console.error('Contains search error:', containsData.error);
-            return;
-          }
-
-          let filteredResults = containsData.results;
-
-          // Apply contains constraint filter
-          if (requiredChars.length > 0) {
-            filteredResults = filteredResults.filter(word => {
-              const wordUpper = word.toUpperCase();
-              return requiredChars.every(char => wordUpper.includes(char));
-            });
-          }
-
-          // Apply excluded letters filter
-          if (excludedLetters) {
-            const excluded = excludedLetters.toUpperCase().split('');
-            filteredResults = filteredResults.filter(word => 
-              !excluded.some(letter => word.toUpperCase().includes(letter))
-            );
-          }
-
-          setResults(filteredResults);
-          setResultCount(filteredResults.length);
-
-        } catch (error) {
-          console.error('Search failed:', error);
-        } finally {
-          setIsLoading(false);
-        }
+          body: JSON.stringify(request),
+        })
+      ));
+
+      const data = await response.json();
+      const stats = statsResponse ? await statsResponse.json() : null;
+
+      // Drop the response if the clues changed while it was loading
+      if (lastRequest.current !== request) return;
+
+      if (data.error) {
+        setSearchError(data.error);
+        setResults([]);
+        setResultCount(0);
+        setNextCursor(null);
+        setLetterStats(null);
+        setNearMatches([]);
+        return;
       }
+
+      setSearchError(null);
+      setResults(data.results);
+      setSources(data.sources || {});
+      setScores(data.scores);
+      setResultCount(data.total);
+      setNextCursor(data.nextCursor);
+      setLetterStats(stats && !stats.error ? stats : null);
+      setNearMatches(data.nearMatches || []);
+
+    } catch (error) {
+      console.error('Search failed:', error);
+    } finally {
+      if (lastRequest.current === request) setIsLoading(false);
     }
-  }, [knownLetters, knownLettersWithoutPos, excludedLetters]);
+  }, [searchMode, anagramLetters, anagramLength, board, constraints, dictionary, sort, wordLength, locale, foldAccents]);
 
   // Real-time search effect
   useEffect(() => {
@@ -140,25 +221,111 @@ export default function Home() {
     return () => clearTimeout(timeoutId);
   }, [handleSearch]);
 
+  // Fetch the page after the last one shown and append it
+  const loadMore = useCallback(async () => {
+    const request = lastRequest.current;
+    if (!request || !nextCursor || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const response = await fetch('/api/search', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...request, cursor: nextCursor }),
+      });
+
+      const data = await response.json();
+
+      // Drop the page if the clues changed while it was loading
+      if (data.error || lastRequest.current !== request) return;
+
+      setResults(previous => [...previous, ...data.results]);
+      setSources(previous => ({ ...previous, ...data.sources }));
+      setScores(previous => previous && { ...previous, ...data.scores });
+      setNextCursor(data.nextCursor);
+
+    } catch (error) {
+      console.error('Loading more results failed:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [nextCursor, isLoadingMore]);
+
+  // Load the next page when the bottom of the results scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel) return;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [loadMore]);
+
   const handleKnownLetterChange = (index, value) => {
     const newKnownLetters = [...knownLetters];
-    newKnownLetters[index] = value.toUpperCase();
+    newKnownLetters[index] = toUpper(value);
     setKnownLetters(newKnownLetters);
   };
 
+  const handleMisplacedLetterChange = (index, value) => {
+    const newMisplacedLetters = [...misplacedLetters];
+    newMisplacedLetters[index] = toUpper(value);
+    setMisplacedLetters(newMisplacedLetters);
+  };
+
+  const handleKeyPress = (letter) => {
+    setLetterMarks(previous => {
+      const { [letter]: mark, ...rest } = previous;
+      const next = mark ? NEXT_MARK[mark] : 'excluded';
+      return next ? { ...rest, [letter]: next } : rest;
+    });
+  };
+
+  const letterStates = useMemo(() => getLetterStates(constraints), [constraints]);
+  const language = LANGUAGES.find(({ code }) => code === locale);
+  // Folded accents search as plain letters, so only keep the keys folding leaves alone
+  const extraKeys = foldAccents ? language.distinctLetters : language.extraKeys;
+
+  const hasCriteria = searchMode === 'anagram' ? Boolean(anagramLetters) : guesses.length > 0 || knownLetters.some(l => l) || Object.keys(letterMarks).length > 0 || misplacedLetters.some(l => l) || letterCounts;
+
+  const handleWordLengthChange = (length) => {
+    setWordLength(length);
+    setGuesses([]);
+    setKnownLetters(emptySlots(length));
+    setMisplacedLetters(emptySlots(length));
+  };
+
+  const handleLocaleChange = (code) => {
+    setLocale(code);
+    // Other languages only ship 5-letter words
+    if (code !== 'en' && wordLength !== 5) handleWordLengthChange(5);
+  };
+
   const clearAll = () => {
-    setKnownLetters(['', '', '', '', '']);
-    setKnownLettersWithoutPos('');
-    setExcludedLetters('');
+    setAnagramLetters('');
+    setGuesses([]);
+    setKnownLetters(emptySlots(wordLength));
+    setLetterMarks({});
+    setMisplacedLetters(emptySlots(wordLength));
+    setLetterCounts('');
     setResults([]);
     setResultCount(0);
+    setNextCursor(null);
+    setLetterStats(null);
+    setNearMatches([]);
+    setSearchError(null);
   };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
       <Head>
-        <title>Word Search - Find 5-Letter Words</title>
-        <meta name="description" content="Search for 5-letter words with advanced filtering options" />
+        <title>Word Search - Find 4 to 7-Letter Words</title>
+        <meta name="description" content="Search for 4 to 7-letter words with advanced filtering options" />
         <meta name="viewport" content="width=device-width, initial-scale=1" />
         <link rel="icon" href="/favicon.ico" />
       </Head>
@@ -177,7 +344,7 @@ export default function Home() {
             </h1>
           </div>
           <p className="text-base sm:text-lg text-gray-700 px-2 font-medium">
-            Find 5-letter words with advanced pattern matching
+            Find 4 to 7-letter words with advanced pattern matching · <Link href="/play" className="text-blue-600 hover:underline">Play a game</Link> · <Link href="/boards" className="text-blue-600 hover:underline">Solve several boards</Link> · <Link href="/ladder" className="text-blue-600 hover:underline">Word ladders</Link>
           </p>
         </div>
 
@@ -190,87 +357,214 @@ export default function Home() {
               </div>
               <h2 className="text-xl sm:text-2xl font-bold text-gray-800 bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">Search Criteria</h2>
             </div>
-            
-            {/* Known letters with positions */}
-            <div className="mb-6 sm:mb-8">
-              <div className="flex items-center gap-2 mb-3 sm:mb-4">
-                <h3 className="text-base sm:text-lg font-semibold text-gray-700">Known Letters (With Positions)</h3>
-              </div>
-              <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Enter letters you know and their exact positions</p>
-              
-              <div className="flex gap-2 sm:gap-3 mb-4 justify-center sm:justify-start">
-                {knownLetters.map((letter, index) => (
-                  <input
-                    key={index}
-                    type="text"
-                    maxLength={1}
-                    value={letter}
-                    onChange={(e) => handleKnownLetterChange(index, e.target.value)}
-                    placeholder="_"
-                    className="w-12 h-12 sm:w-14 sm:h-14 md:w-16 md:h-16 text-center text-lg sm:text-xl md:text-2xl font-bold border-2 border-gray-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent uppercase text-gray-900 shadow-md hover:shadow-lg transition-all duration-200 bg-gradient-to-br from-white to-gray-50 hover:from-blue-50 hover:to-indigo-50"
-                  />
-                ))}
-              </div>
-              
-              <div className="text-xs sm:text-sm text-gray-600 text-center sm:text-left bg-gradient-to-r from-blue-50 to-indigo-50 p-3 rounded-lg border border-blue-100">
-                <span className="font-semibold">Current pattern:</span>
-                <span className="font-mono bg-white px-3 py-1 rounded ml-2 text-blue-700 font-bold shadow-sm">
-                  {knownLetters.map(letter => letter || '_').join('')}
-                </span>
-              </div>
+
+            {/* Search mode tabs */}
+            <div className="flex gap-2 mb-6">
+              {SEARCH_MODES.map(({ mode, label }) => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => setSearchMode(mode)}
+                  className={`px-4 py-2 rounded-xl font-semibold text-sm sm:text-base transition-all duration-200 ${searchMode === mode ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
 
-            {/* Known letters without positions */}
-            <div className="mb-6 sm:mb-8">
-              <div className="flex items-center gap-2 mb-3 sm:mb-4">
-                <h3 className="text-base sm:text-lg font-semibold text-gray-700">Known Letters (Position Unknown)</h3>
-              </div>
-              <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Enter letters you know exist in the word but don&apos;t know where</p>
-              
-              <div className="flex flex-col sm:flex-row gap-3 sm:gap-4 items-start sm:items-center">
-                <div className="relative w-full sm:flex-1">
-                  <input
-                    type="text"
-                    value={knownLettersWithoutPos}
-                    onChange={(e) => setKnownLettersWithoutPos(e.target.value.toUpperCase())}
-                    placeholder="e.g., E, A, T"
-                    className="w-full sm:flex-1 px-4 py-3 border-2 border-green-300 rounded-xl focus:ring-4 focus:ring-green-400 focus:border-transparent text-base sm:text-lg uppercase text-gray-900 shadow-md hover:shadow-lg transition-all duration-200 bg-gradient-to-br from-white to-green-50 hover:from-green-50 hover:to-emerald-50"
-                  />
-                  <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-green-500 font-bold">✓</span>
-                </div>
-                <div className="text-xs sm:text-sm text-gray-600 w-full sm:w-auto text-center sm:text-left bg-green-50 p-2 rounded-lg border border-green-200">
-                  {knownLettersWithoutPos && (
-                    <span className="font-semibold text-green-700">Contains: {knownLettersWithoutPos.split('').join(', ')}</span>
-                  )}
+            {/* Language, word length and list */}
+            <div className="mb-6 sm:mb-8 flex flex-col sm:flex-row gap-4">
+              <div className="sm:w-1/3">
+                <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                  <h3 className="text-base sm:text-lg font-semibold text-gray-700">Language</h3>
                 </div>
+                <select
+                  value={locale}
+                  onChange={(e) => handleLocaleChange(e.target.value)}
+                  className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base text-gray-900 shadow-md bg-white"
+                >
+                  {LANGUAGES.map(({ code, name }) => (
+                    <option key={code} value={code}>{name}</option>
+                  ))}
+                </select>
+                {locale !== 'en' && (
+                  <label className="flex items-center gap-2 mt-2 text-xs sm:text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={foldAccents}
+                      onChange={(e) => setFoldAccents(e.target.checked)}
+                    />
+                    Ignore accents
+                  </label>
+                )}
               </div>
+              {searchMode === 'anagram' ? (
+                <div className="sm:flex-1">
+                  <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                    <h3 className="text-base sm:text-lg font-semibold text-gray-700">Word Length</h3>
+                  </div>
+                  <select
+                    value={anagramLength}
+                    onChange={(e) => setAnagramLength(e.target.value === '' ? '' : parseInt(e.target.value))}
+                    className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base text-gray-900 shadow-md bg-white"
+                  >
+                    <option value="">Any length</option>
+                    {WORD_LENGTHS.map(length => (
+                      <option key={length} value={length}>{length} letters</option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <>
+                  <div className="sm:w-1/4">
+                    <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                      <h3 className="text-base sm:text-lg font-semibold text-gray-700">Letters</h3>
+                    </div>
+                    <select
+                      value={wordLength}
+                      onChange={(e) => handleWordLengthChange(parseInt(e.target.value))}
+                      disabled={locale !== 'en'}
+                      className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base text-gray-900 shadow-md bg-white disabled:opacity-60"
+                    >
+                      {WORD_LENGTHS.map(length => (
+                        <option key={length} value={length}>{length}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="sm:flex-1">
+                    <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                      <h3 className="text-base sm:text-lg font-semibold text-gray-700">Word List</h3>
+                    </div>
+                    <select
+                      value={wordLength === 5 && locale === 'en' ? dictionary : 'all'}
+                      onChange={(e) => setDictionary(e.target.value)}
+                      disabled={wordLength !== 5 || locale !== 'en'}
+                      className="w-full px-4 py-3 border-2 border-gray-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base text-gray-900 shadow-md bg-white disabled:opacity-60"
+                    >
+                      <option value="answers">Likely answers</option>
+                      <option value="all">All valid words</option>
+                    </select>
+                  </div>
+                </>
+              )}
             </div>
+            
+            {searchMode === 'anagram' ? (
+              /* Anagram letters */
+              <div className="mb-6 sm:mb-8">
+                <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                  <h3 className="text-base sm:text-lg font-semibold text-gray-700">Letters</h3>
+                </div>
+                <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Enter the letters you have; every word that can be built from them is listed. Each letter is used at most as often as you type it, and ? is a blank that stands for any letter</p>
 
-            {/* Excluded letters */}
-            <div className="mb-6 sm:mb-8">
-              <div className="flex items-center gap-2 mb-3 sm:mb-4">
-                <h3 className="text-base sm:text-lg font-semibold text-gray-700">Excluded Letters</h3>
+                <input
+                  type="text"
+                  value={anagramLetters}
+                  onChange={(e) => setAnagramLetters(toUpper(e.target.value.replace(/[^\p{L}?]/gu, '')))}
+                  placeholder="e.g., TESR?"
+                  className="w-full px-4 py-3 border-2 border-blue-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base sm:text-lg uppercase tracking-widest text-gray-900 shadow-md hover:shadow-lg transition-all duration-200 bg-gradient-to-br from-white to-blue-50"
+                />
               </div>
-              <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Enter letters that you know are NOT in the word</p>
-              
-              <div className="flex flex-col sm:flex-row gap-3 sm:gap-4 items-start sm:items-center">
-                <div className="relative w-full sm:flex-1">
-                  <input
-                    type="text"
-                    value={excludedLetters}
-                    onChange={(e) => setExcludedLetters(e.target.value.toUpperCase())}
-                    placeholder="e.g., X, Y, Z"
-                    className="w-full sm:flex-1 px-4 py-3 border-2 border-red-300 rounded-xl focus:ring-4 focus:ring-red-400 focus:border-transparent text-base sm:text-lg uppercase text-gray-900 shadow-md hover:shadow-lg transition-all duration-200 bg-gradient-to-br from-white to-red-50 hover:from-red-50 hover:to-pink-50"
-                  />
-                  <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-red-500 font-bold">✗</span>
+            ) : (
+              <>
+                {/* Guess board */}
+                <div className="mb-6 sm:mb-8">
+                  <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                    <h3 className="text-base sm:text-lg font-semibold text-gray-700">Guesses</h3>
+                  </div>
+                  <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Add each guess you played, then click its tiles to cycle grey, yellow and green. The clues are worked out for you, repeated letters included; use the fields below for anything else you know</p>
+
+                  <GuessBoard guesses={guesses} onChange={setGuesses} wordLength={wordLength} />
                 </div>
-                <div className="text-xs sm:text-sm text-gray-600 w-full sm:w-auto text-center sm:text-left bg-red-50 p-2 rounded-lg border border-red-200">
-                  {excludedLetters && (
-                    <span className="font-semibold text-red-700">Excludes: {excludedLetters.split('').join(', ')}</span>
-                  )}
+
+                {/* Known letters with positions */}
+                <div className="mb-6 sm:mb-8">
+                  <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                    <h3 className="text-base sm:text-lg font-semibold text-gray-700">Known Letters (With Positions)</h3>
+                  </div>
+                  <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Enter letters you know and their exact positions. Type several letters for &quot;one of these&quot;, or start with ! to rule letters out (e.g. !XY)</p>
+                  
+                  <div className="flex gap-2 sm:gap-3 mb-4 justify-center sm:justify-start">
+                    {knownLetters.map((letter, index) => (
+                      <input
+                        key={index}
+                        type="text"
+                        value={letter}
+                        onChange={(e) => handleKnownLetterChange(index, e.target.value.replace(/[^\p{L}!]/gu, ''))}
+                        placeholder="_"
+                        className={`w-12 h-12 sm:w-14 sm:h-14 md:w-16 md:h-16 text-center ${letter.length > 1 ? 'text-xs sm:text-sm' : 'text-lg sm:text-xl md:text-2xl'} font-bold border-2 border-gray-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent uppercase text-gray-900 shadow-md hover:shadow-lg transition-all duration-200 bg-gradient-to-br from-white to-gray-50 hover:from-blue-50 hover:to-indigo-50`}
+                      />
+                    ))}
+                  </div>
+                  
+                  <div className="text-xs sm:text-sm text-gray-600 text-center sm:text-left bg-gradient-to-r from-blue-50 to-indigo-50 p-3 rounded-lg border border-blue-100">
+                    <span className="font-semibold">Current pattern:</span>
+                    <span className="font-mono bg-white px-3 py-1 rounded ml-2 text-blue-700 font-bold shadow-sm">
+                      {knownLetters.map(toPatternSlot).join('')}
+                    </span>
+                  </div>
                 </div>
-              </div>
-            </div>
+
+                {/* Letters present but not at a position */}
+                <div className="mb-6 sm:mb-8">
+                  <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                    <h3 className="text-base sm:text-lg font-semibold text-gray-700">Known Letters (Not In This Position)</h3>
+                  </div>
+                  <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Enter yellow letters under the slot where they can&apos;t be</p>
+                  
+                  <div className="flex gap-2 sm:gap-3 justify-center sm:justify-start">
+                    {misplacedLetters.map((letters, index) => (
+                      <input
+                        key={index}
+                        type="text"
+                        value={letters}
+                        onChange={(e) => handleMisplacedLetterChange(index, e.target.value)}
+                        placeholder="-"
+                        className="w-12 h-12 sm:w-14 sm:h-14 md:w-16 md:h-16 text-center text-sm sm:text-base font-bold border-2 border-yellow-300 rounded-xl focus:ring-4 focus:ring-yellow-400 focus:border-transparent uppercase text-gray-900 shadow-md hover:shadow-lg transition-all duration-200 bg-gradient-to-br from-white to-yellow-50 hover:from-yellow-50 hover:to-amber-50"
+                      />
+                    ))}
+                  </div>
+                </div>
+
+                {/* Letter counts */}
+                <div className="mb-6 sm:mb-8">
+                  <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                    <h3 className="text-base sm:text-lg font-semibold text-gray-700">Letter Counts</h3>
+                  </div>
+                  <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Say how many times a letter appears: = exactly, &gt;= at least, &lt;= at most</p>
+                  
+                  <div className="flex flex-col sm:flex-row gap-3 sm:gap-4 items-start sm:items-center">
+                    <div className="relative w-full sm:flex-1">
+                      <input
+                        type="text"
+                        value={letterCounts}
+                        onChange={(e) => setLetterCounts(toUpper(e.target.value))}
+                        placeholder="e.g., E>=2, L=1"
+                        className="w-full sm:flex-1 px-4 py-3 border-2 border-purple-300 rounded-xl focus:ring-4 focus:ring-purple-400 focus:border-transparent text-base sm:text-lg uppercase text-gray-900 shadow-md hover:shadow-lg transition-all duration-200 bg-gradient-to-br from-white to-purple-50 hover:from-purple-50 hover:to-indigo-50"
+                      />
+                      <span className="absolute right-3 top-1/2 transform -translate-y-1/2 text-purple-500 font-bold">#</span>
+                    </div>
+                    <div className="text-xs sm:text-sm text-gray-600 w-full sm:w-auto text-center sm:text-left bg-purple-50 p-2 rounded-lg border border-purple-200">
+                      {parseLetterCounts(letterCounts).length > 0 && (
+                        <span className="font-semibold text-purple-700">
+                          Counts: {parseLetterCounts(letterCounts).map(({ letter, op, count }) => `${letter}${op}${count}`).join(', ')}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                {/* Keyboard */}
+                <div className="mb-6 sm:mb-8">
+                  <div className="flex items-center gap-2 mb-3 sm:mb-4">
+                    <h3 className="text-base sm:text-lg font-semibold text-gray-700">Keyboard</h3>
+                  </div>
+                  <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">Keys show what your clues say about each letter: green is placed, yellow is in the word, grey is excluded. Tap a key to mark it excluded, tap again for in the word, and once more to clear it</p>
+
+                  <Keyboard letterStates={letterStates} onKeyPress={handleKeyPress} extraKeys={extraKeys} />
+                </div>
+              </>
+            )}
 
             {/* Clear button */}
             <div className="flex justify-center">
@@ -283,65 +577,115 @@ export default function Home() {
             </div>
           </div>
 
-          {/* Right Panel - Results */}
-          <div className="w-full lg:w-1/2 bg-white/80 backdrop-blur-sm p-4 sm:p-6 lg:p-8 rounded-2xl shadow-xl border border-white/20 hover:shadow-2xl transition-all duration-300">
-            <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 sm:mb-6 gap-2">
-              <div className="flex items-center gap-3">
-                <div className="w-8 h-8 bg-gradient-to-r from-green-500 to-emerald-600 rounded-lg flex items-center justify-center">
-                  <span className="text-white text-lg font-bold">R</span>
+          {/* Right Panel - Results and letter heatmap */}
+          <div className="w-full lg:w-1/2 flex flex-col xl:flex-row gap-4 sm:gap-6">
+            <div className="flex-1 min-w-0 bg-white/80 backdrop-blur-sm p-4 sm:p-6 lg:p-8 rounded-2xl shadow-xl border border-white/20 hover:shadow-2xl transition-all duration-300">
+              <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 sm:mb-6 gap-2">
+                <div className="flex items-center gap-3">
+                  <div className="w-8 h-8 bg-gradient-to-r from-green-500 to-emerald-600 rounded-lg flex items-center justify-center">
+                    <span className="text-white text-lg font-bold">R</span>
+                  </div>
+                  <h2 className="text-xl sm:text-2xl font-bold text-gray-800 bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+                    {hasCriteria ? 
+                      `Results ${resultCount > 0 ? `(${resultCount})` : ''}` : 
+                      'Results'
+                    }
+                  </h2>
                 </div>
-                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
-                  {(knownLetters.some(l => l) || knownLettersWithoutPos || excludedLetters) ? 
-                    `Results ${resultCount > 0 ? `(${resultCount})` : ''}` : 
-                    'Results'
-                  }
-                </h2>
+                <select
+                  value={sort}
+                  onChange={(e) => setSort(e.target.value)}
+                  className="px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-4 focus:ring-green-400 focus:border-transparent text-xs sm:text-sm text-gray-900 bg-white shadow-sm"
+                >
+                  <option value="alphabetical">A–Z</option>
+                  <option value="frequency">Most common</option>
+                  <option value="positional">Letter position score</option>
+                  <option value="coverage">Letter coverage score</option>
+                  <option value="length">Longest first</option>
+                </select>
+                {isLoading && (
+                  <div className="flex items-center gap-2 text-xs sm:text-sm text-blue-600 text-center sm:text-right bg-blue-50 px-3 py-2 rounded-lg border border-blue-200">
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+                    Searching...
+                  </div>
+                )}
               </div>
-              {isLoading && (
-                <div className="flex items-center gap-2 text-xs sm:text-sm text-blue-600 text-center sm:text-right bg-blue-50 px-3 py-2 rounded-lg border border-blue-200">
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-                  Searching...
-                </div>
-              )}
-            </div>
 
-            {/* Results Display */}
-            {(knownLetters.some(l => l) || knownLettersWithoutPos || excludedLetters) ? (
-              results.length > 0 ? (
-                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-3 xl:grid-cols-4 gap-2 sm:gap-3">
-                  {results.map((word, index) => (
-                    <div
-                      key={index}
-                      className="bg-gradient-to-br from-green-100 to-emerald-100 text-green-800 px-2 sm:px-3 py-2 rounded-xl text-center font-bold hover:from-green-200 hover:to-emerald-200 transition-all duration-300 cursor-pointer text-xs sm:text-sm border border-green-200 shadow-md hover:shadow-lg transform hover:-translate-y-1 hover:scale-105"
-                      title={word}
-                    >
-                      {word.toUpperCase()}
+              {/* Results Display */}
+              {hasCriteria ? (
+                results.length > 0 ? (
+                  <>
+                    <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-3 xl:grid-cols-4 gap-2 sm:gap-3">
+                      {results.map((word, index) => (
+                        <div
+                          key={index}
+                          className={`${(sources[word] || []).includes('answers') ? 'from-green-100 to-emerald-100 text-green-800 hover:from-green-200 hover:to-emerald-200 border-green-200' : 'from-gray-100 to-slate-100 text-gray-600 hover:from-gray-200 hover:to-slate-200 border-gray-200'} bg-gradient-to-br px-2 sm:px-3 py-2 rounded-xl text-center font-bold transition-all duration-300 cursor-pointer text-xs sm:text-sm border shadow-md hover:shadow-lg transform hover:-translate-y-1 hover:scale-105`}
+                          title={`${word} (${(sources[word] || []).join(', ')})`}
+                        >
+                          {toUpper(word)}
+                          {scores && (
+                            <div className="text-[10px] sm:text-xs font-normal opacity-70">{scores[word]}</div>
+                          )}
+                        </div>
+                      ))}
                     </div>
-                  ))}
-                </div>
+                    {nextCursor && (
+                      <div ref={loadMoreRef} className="text-center text-xs sm:text-sm text-gray-500 mt-4">
+                        {isLoadingMore ? 'Loading more...' : `Showing ${results.length} of ${resultCount}`}
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <div className="text-center text-gray-600 mt-16 sm:mt-20">
+                    {isLoading ? (
+                      <div className="animate-pulse">
+                        <div className="text-base sm:text-lg font-semibold">Searching...</div>
+                        <div className="text-xs sm:text-sm mt-2 text-gray-500">Finding matching words</div>
+                      </div>
+                    ) : searchError ? (
+                      <div>
+                        <div className="text-base sm:text-lg font-semibold text-red-700">These clues can&apos;t all be true</div>
+                        <div className="text-xs sm:text-sm mt-2 text-gray-500">{searchError}</div>
+                      </div>
+                    ) : (
+                      <div>
+                        <div className="text-base sm:text-lg font-semibold">No matches found</div>
+                        {nearMatches.length > 0 ? (
+                          <div className="mt-4">
+                            <div className="text-xs sm:text-sm text-gray-500 mb-3">Did you mean one of these? Each one breaks the clue shown under it</div>
+                            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 sm:gap-3">
+                              {nearMatches.map(({ word, breaks }) => (
+                                <div
+                                  key={word}
+                                  className="bg-gradient-to-br from-amber-50 to-yellow-100 text-amber-900 border border-amber-200 px-2 sm:px-3 py-2 rounded-xl text-center font-bold text-xs sm:text-sm shadow-md"
+                                  title={`${word}: ${breaks.join(', ')}`}
+                                >
+                                  {toUpper(word)}
+                                  <div className="text-[10px] sm:text-xs font-normal opacity-80">{breaks.join(', ')}</div>
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="text-xs sm:text-sm mt-2 text-gray-500">Try adjusting your search criteria</div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )
               ) : (
                 <div className="text-center text-gray-600 mt-16 sm:mt-20">
-                  {isLoading ? (
-                    <div className="animate-pulse">
-                      <div className="text-base sm:text-lg font-semibold">Searching...</div>
-                      <div className="text-xs sm:text-sm mt-2 text-gray-500">Finding matching words</div>
-                    </div>
-                  ) : (
-                    <div>
-                      <div className="text-base sm:text-lg font-semibold">No matches found</div>
-                      <div className="text-xs sm:text-sm mt-2 text-gray-500">Try adjusting your search criteria</div>
+                  <div className="text-base sm:text-lg font-semibold">Enter search criteria to find words</div>
+                  {searchMode === 'clues' && (
+                    <div className="text-xs sm:text-sm mt-2 text-gray-500 bg-gray-100 p-2 rounded-lg inline-block">
+                      Pattern: {knownLetters.map(toPatternSlot).join('')}
                     </div>
                   )}
                 </div>
-              )
-            ) : (
-              <div className="text-center text-gray-600 mt-16 sm:mt-20">
-                <div className="text-base sm:text-lg font-semibold">Enter search criteria to find words</div>
-                <div className="text-xs sm:text-sm mt-2 text-gray-500 bg-gray-100 p-2 rounded-lg inline-block">
-                  Pattern: {knownLetters.map(l => l || '_').join('')}
-                </div>
-              </div>
-            )}
+              )}
+            </div>
+
+            {searchMode === 'clues' && hasCriteria && letterStats && <LetterHeatmap stats={letterStats} />}
           </div>
         </div>
       </main>
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { TILE_CLASSES } from '../components/GuessBoard';
+import { toUpper } from '../components/letters';
+
+const inputClasses = 'w-full px-4 py-3 border-2 border-blue-300 rounded-xl focus:ring-4 focus:ring-blue-400 focus:border-transparent text-base sm:text-lg uppercase tracking-widest text-gray-900 shadow-md bg-white';
+
+export default function Ladder() {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [all, setAll] = useState(false); // Every shortest ladder rather than one
+  const [result, setResult] = useState(null); // Response from /api/ladder
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams({ from: from.toLowerCase(), to: to.toLowerCase(), all: String(all) });
+      const response = await fetch(`/api/ladder?${params}`);
+      const data = await response.json();
+
+      if (data.error) {
+        setError(data.error);
+        setResult(null);
+        return;
+      }
+
+      setError(null);
+      setResult(data);
+
+    } catch (error) {
+      console.error('Ladder search failed:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <Head>
+        <title>Word Search - Word Ladder</title>
+        <meta name="description" content="Find the shortest chain of words between two words, one letter at a time" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <main className="container mx-auto px-4 py-4 sm:py-8 relative z-10">
+        <div className="text-center mb-6 sm:mb-8">
+          <div className="inline-block p-2 bg-gradient-to-r from-blue-500 to-purple-600 rounded-2xl mb-4 shadow-lg">
+            <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-white mb-0 px-4 py-2">
+              Word Search
+            </h1>
+          </div>
+          <p className="text-base sm:text-lg text-gray-700 px-2 font-medium">
+            Change one letter at a time · <Link href="/" className="text-blue-600 hover:underline">Back to search</Link>
+          </p>
+        </div>
+
+        <div className="max-w-xl mx-auto bg-white/80 backdrop-blur-sm p-4 sm:p-6 lg:p-8 rounded-2xl shadow-xl border border-white/20">
+          <form onSubmit={handleSubmit} className="flex flex-col gap-3 mb-6">
+            <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
+              <input
+                type="text"
+                value={from}
+                onChange={(e) => setFrom(toUpper(e.target.value.replace(/\P{L}/gu, '')))}
+                placeholder="From (COLD)"
+                className={inputClasses}
+              />
+              <span className="text-center text-gray-500 font-bold">→</span>
+              <input
+                type="text"
+                value={to}
+                onChange={(e) => setTo(toUpper(e.target.value.replace(/\P{L}/gu, '')))}
+                placeholder="To (WARM)"
+                className={inputClasses}
+              />
+            </div>
+            <div className="flex justify-between items-center gap-3">
+              <label className="flex items-center gap-2 text-xs sm:text-sm text-gray-600">
+                <input type="checkbox" checked={all} onChange={(e) => setAll(e.target.checked)} />
+                Show every shortest ladder
+              </label>
+              <button
+                type="submit"
+                disabled={isLoading || !from || !to}
+                className="px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-xl font-semibold shadow-md hover:shadow-lg transition-all duration-200 disabled:opacity-50"
+              >
+                {isLoading ? 'Searching...' : 'Find Ladder'}
+              </button>
+            </div>
+            {error && <p className="text-xs sm:text-sm text-red-600">{error}</p>}
+          </form>
+
+          {result && (
+            <div>
+              <div className="text-sm sm:text-base font-semibold text-gray-700 mb-3">
+                {result.steps === null
+                  ? `No ladder joins ${toUpper(result.from)} and ${toUpper(result.to)}`
+                  : `${result.ladders.length}${result.truncated ? '+' : ''} ladder${result.ladders.length === 1 ? '' : 's'} of ${result.steps} step${result.steps === 1 ? '' : 's'}`}
+                {result.truncated && <span className="font-normal text-gray-500"> (showing the first {result.maxLadders})</span>}
+              </div>
+              <div className="flex flex-wrap gap-6 justify-center">
+                {result.ladders.map((ladder, index) => (
+                  <div key={index} className="flex flex-col gap-1">
+                    {ladder.map((word, row) => {
+                      const previous = row > 0 ? Array.from(ladder[row - 1]) : null;
+                      return (
+                        <div key={row} className="flex gap-1">
+                          {/* The letter changed from the word above is green */}
+                          {Array.from(word).map((letter, position) => (
+                            <div
+                              key={position}
+                              className={`w-8 h-8 sm:w-10 sm:h-10 flex items-center justify-center border-2 rounded-md text-sm sm:text-lg font-bold ${previous && previous[position] !== letter ? TILE_CLASSES.G : 'bg-white border-gray-300 text-gray-900'}`}
+                            >
+                              {toUpper(letter)}
+                            </div>
+                          ))}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
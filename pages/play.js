@@ -0,0 +1,327 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import Keyboard from '../components/Keyboard';
+import { TILE_CLASSES } from '../components/GuessBoard';
+import { toUpper, getLetterStates } from '../components/letters';
+import { feedbackToSpec } from '../lib/feedback';
+import { shareGrid, MAX_GUESSES } from '../lib/game';
+
+const WORD_LENGTH = 5; // The answer list only has 5-letter words
+const STORAGE_KEY = 'word-search-play'; // localStorage entry holding both games
+
+const tileSize = 'w-12 h-12 sm:w-14 sm:h-14 md:w-16 md:h-16';
+
+// The player's calendar day, so the daily puzzle changes at their midnight
+function today() {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// A game before its first guess: { date } for daily, { game } for practice
+function newGame(fields, hardMode = false) {
+  return { ...fields, guesses: [], status: 'playing', answer: null, hardMode, token: null };
+}
+
+// The server only continues games with the token it signed their guesses with
+function isResumable(game) {
+  return Boolean(game) && (game.status !== 'playing' || game.guesses.length === 0 || Boolean(game.token));
+}
+
+export default function Play() {
+  const [mode, setMode] = useState('daily'); // 'daily' or 'practice'
+  const [games, setGames] = useState(null); // { daily, practice } as saved in localStorage; null until loaded
+  const [draft, setDraft] = useState(''); // Letters typed into the current row
+  const [message, setMessage] = useState(null); // Rejected guess or other notice
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  // Restore saved progress; a daily game from another day starts over
+  useEffect(() => {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      // Unreadable progress is dropped rather than breaking the page
+    }
+    const date = today();
+    setGames({
+      daily: saved.daily && saved.daily.date === date && isResumable(saved.daily)
+        ? saved.daily
+        : newGame({ date }, saved.daily ? saved.daily.hardMode : false),
+      practice: isResumable(saved.practice) ? saved.practice : null
+    });
+  }, []);
+
+  useEffect(() => {
+    if (games) localStorage.setItem(STORAGE_KEY, JSON.stringify(games));
+  }, [games]);
+
+  const game = games && games[mode];
+
+  const startPractice = useCallback(async () => {
+    setMessage(null);
+    try {
+      const response = await fetch('/api/play', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ mode: 'practice' }),
+      });
+      const data = await response.json();
+      if (data.error) {
+        setMessage(data.error);
+        return;
+      }
+      setGames(previous => ({
+        ...previous,
+        practice: newGame({ game: data.game }, previous.practice ? previous.practice.hardMode : false)
+      }));
+    } catch (error) {
+      console.error('Starting a practice game failed:', error);
+    }
+  }, []);
+
+  // Practice needs a game id from the server before the first guess
+  useEffect(() => {
+    if (mode === 'practice' && games && !games.practice) startPractice();
+  }, [mode, games, startPractice]);
+
+  const updateGame = useCallback((changes) => {
+    setGames(previous => ({ ...previous, [mode]: { ...previous[mode], ...changes } }));
+  }, [mode]);
+
+  const submitGuess = useCallback(async () => {
+    if (!game || game.status !== 'playing' || isSubmitting) return;
+    if ([...draft].length !== WORD_LENGTH) {
+      setMessage('Not enough letters');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch('/api/play', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          mode,
+          ...(mode === 'daily' ? { date: game.date } : { game: game.game }),
+          guess: draft,
+          previous: game.guesses.map(({ guess }) => guess),
+          token: game.token,
+          hardMode: game.hardMode
+        }),
+      });
+      const data = await response.json();
+
+      if (data.error) {
+        setMessage(data.error);
+        return;
+      }
+
+      updateGame({
+        guesses: [...game.guesses, { guess: data.guess, feedback: data.feedback }],
+        status: data.solved ? 'won' : data.finished ? 'lost' : 'playing',
+        answer: data.answer,
+        token: data.token
+      });
+      setDraft('');
+      setMessage(null);
+
+    } catch (error) {
+      console.error('Guess failed:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [game, draft, mode, isSubmitting, updateGame]);
+
+  const typeLetter = useCallback((letter) => {
+    if (!game || game.status !== 'playing') return;
+    setDraft(previous => [...previous].length < WORD_LENGTH ? previous + letter : previous);
+    setMessage(null);
+  }, [game]);
+
+  const deleteLetter = useCallback(() => {
+    setDraft(previous => [...previous].slice(0, -1).join(''));
+    setMessage(null);
+  }, []);
+
+  // Physical keyboard input
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.key === 'Enter') {
+        // Otherwise Enter also clicks whichever on-screen key has focus
+        event.preventDefault();
+        submitGuess();
+      } else if (event.key === 'Backspace') {
+        deleteLetter();
+      } else if (/^\p{L}$/u.test(event.key)) {
+        typeLetter(event.key.toLowerCase());
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [submitGuess, deleteLetter, typeLetter]);
+
+  const handleModeChange = (next) => {
+    setMode(next);
+    setDraft('');
+    setMessage(null);
+    setCopied(false);
+  };
+
+  const handleNewPractice = () => {
+    setDraft('');
+    setCopied(false);
+    startPractice();
+  };
+
+  const letterStates = useMemo(() =>
+    game && game.guesses.length > 0 ? getLetterStates(feedbackToSpec(game.guesses)) : {},
+  [game]);
+
+  const share = game && game.status !== 'playing' ? shareGrid({
+    title: mode === 'daily' ? `Word Search ${game.date}` : 'Word Search Practice',
+    feedback: game.guesses.map(({ feedback }) => feedback),
+    solved: game.status === 'won',
+    hardMode: game.hardMode
+  }) : null;
+
+  const copyShare = async () => {
+    try {
+      await navigator.clipboard.writeText(share);
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <Head>
+        <title>Word Search - Play</title>
+        <meta name="description" content="Play a daily Wordle-style puzzle or practice with random words" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <main className="container mx-auto px-4 py-4 sm:py-8 relative z-10">
+        <div className="text-center mb-6 sm:mb-8">
+          <div className="inline-block p-2 bg-gradient-to-r from-blue-500 to-purple-600 rounded-2xl mb-4 shadow-lg">
+            <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-white mb-0 px-4 py-2">
+              Word Search
+            </h1>
+          </div>
+          <p className="text-base sm:text-lg text-gray-700 px-2 font-medium">
+            Guess the word in {MAX_GUESSES} tries · <Link href="/" className="text-blue-600 hover:underline">Back to search</Link>
+          </p>
+        </div>
+
+        <div className="max-w-xl mx-auto bg-white/80 backdrop-blur-sm p-4 sm:p-6 lg:p-8 rounded-2xl shadow-xl border border-white/20">
+          {/* Mode and hard mode */}
+          <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-6">
+            <div className="flex gap-2">
+              {['daily', 'practice'].map(value => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => handleModeChange(value)}
+                  className={`px-4 py-2 rounded-xl font-semibold text-sm sm:text-base transition-all duration-200 ${mode === value ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                >
+                  {value === 'daily' ? 'Daily' : 'Practice'}
+                </button>
+              ))}
+            </div>
+            {game && (
+              <label className="flex items-center gap-2 text-xs sm:text-sm text-gray-600" title="Greens must stay in place and yellows must be reused">
+                <input
+                  type="checkbox"
+                  checked={game.hardMode}
+                  disabled={game.guesses.length > 0}
+                  onChange={(e) => updateGame({ hardMode: e.target.checked })}
+                />
+                Hard mode
+              </label>
+            )}
+          </div>
+
+          {!game ? (
+            <div className="text-center text-gray-600 py-16">Loading game...</div>
+          ) : (
+            <>
+              {/* Board */}
+              <div className="flex flex-col gap-2 items-center mb-4">
+                {Array.from({ length: MAX_GUESSES }, (_, rowIndex) => {
+                  const row = game.guesses[rowIndex];
+                  const isCurrent = !row && rowIndex === game.guesses.length && game.status === 'playing';
+                  return (
+                    <div key={rowIndex} className="flex gap-2">
+                      {Array.from({ length: WORD_LENGTH }, (_, tileIndex) => {
+                        const letter = row ? row.guess[tileIndex] : isCurrent ? [...draft][tileIndex] : null;
+                        const colours = row
+                          ? TILE_CLASSES[row.feedback[tileIndex]]
+                          : `bg-white/60 text-gray-900 ${letter ? 'border-gray-500' : 'border-gray-300'}`;
+                        return (
+                          <div
+                            key={tileIndex}
+                            className={`${tileSize} flex items-center justify-center border-2 rounded-lg text-xl sm:text-2xl md:text-3xl font-bold shadow-md ${colours}`}
+                          >
+                            {letter ? toUpper(letter) : ''}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="h-6 mb-2 text-center text-sm font-semibold text-red-600">{message}</div>
+
+              {/* Result and share grid */}
+              {game.status !== 'playing' && (
+                <div className="text-center mb-6 bg-gradient-to-r from-blue-50 to-indigo-50 p-4 rounded-xl border border-blue-100">
+                  <div className="text-lg font-bold text-gray-800 mb-2">
+                    {game.status === 'won'
+                      ? `Solved in ${game.guesses.length}/${MAX_GUESSES}`
+                      : `The word was ${toUpper(game.answer || '')}`}
+                  </div>
+                  <pre className="inline-block text-left text-lg leading-snug mb-3">{share}</pre>
+                  <div className="flex justify-center gap-3">
+                    <button
+                      type="button"
+                      onClick={copyShare}
+                      className="px-6 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl font-semibold shadow-md hover:shadow-lg transition-all duration-200"
+                    >
+                      {copied ? 'Copied!' : 'Share'}
+                    </button>
+                    {mode === 'practice' && (
+                      <button
+                        type="button"
+                        onClick={handleNewPractice}
+                        className="px-6 py-2 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-xl font-semibold shadow-md hover:shadow-lg transition-all duration-200"
+                      >
+                        New Game
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <Keyboard
+                letterStates={letterStates}
+                onKeyPress={typeLetter}
+                onEnter={submitGuess}
+                onBackspace={deleteLetter}
+              />
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}